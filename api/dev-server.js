@@ -0,0 +1,226 @@
+import { createReadStream } from "node:fs";
+import fs from "node:fs/promises";
+import { createServer } from "node:http";
+import path from "node:path";
+import { Readable } from "node:stream";
+import { jsonFileStore, localObjects } from "../uploader/lib/local-store.js";
+import worker from "./src/index.js";
+
+// Runs the worker under plain Node against the uploader's local or s3
+// storage backend, for developing the upload → API → gallery loop offline:
+//
+//   STORAGE_BACKEND=local LOCAL_STORAGE_DIR=../uploader/local-storage node dev-server.js
+//
+// With the local backend it serves the bucket's images itself under
+// `/images/`, which IMAGE_BASE_URL points at unless it's set. `/cdn-cgi/image`
+// resizing is skipped and returns the original. With the s3 backend the
+// worker reads images from S3_ENDPOINT (see src/storage.js), so set
+// IMAGE_BASE_URL to the bucket's public URL. Metadata is read from
+// METADATA_FILE either way, and nothing is cached.
+
+const PORT = Number(process.env.PORT) || 8787;
+const BACKEND = process.env.STORAGE_BACKEND || "local";
+
+// Must match openStorage in the uploader.
+const required = {
+  local: ["LOCAL_STORAGE_DIR"],
+  s3: [
+    "S3_ENDPOINT",
+    "S3_ACCESS_KEY_ID",
+    "S3_SECRET_ACCESS_KEY",
+    "S3_BUCKET_NAME",
+    "METADATA_FILE",
+  ],
+}[BACKEND];
+if (!required) {
+  console.error(
+    `The dev server runs the local or s3 storage backend, not ${BACKEND}; use \`wrangler dev\` for r2.`,
+  );
+  process.exit(1);
+}
+const missing = required.filter((name) => !process.env[name]);
+if (missing.length > 0) {
+  console.error(
+    `Missing ${missing.join(", ")} for the ${BACKEND} storage backend.`,
+  );
+  process.exit(1);
+}
+
+const LOCAL_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || ".");
+const METADATA_FILE = path.resolve(
+  process.env.METADATA_FILE || path.join(LOCAL_DIR, "metadata.json"),
+);
+
+const contentTypes = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+};
+
+// The parts of the KV binding the worker uses, over the uploader's JSON file
+// store. Listings come back in one page.
+function jsonFileKv(filePath) {
+  const store = jsonFileStore(filePath);
+  return {
+    get: store.get,
+    put: (key, value) => store.put(key, String(value)),
+    delete: store.delete,
+    async list({ prefix = "" } = {}) {
+      const keys = (await store.list(prefix)).map((name) => ({ name }));
+      return { keys, list_complete: true };
+    },
+  };
+}
+
+// The parts of the R2 binding the worker uses, over the uploader's local
+// objects.
+function localBucket(dir) {
+  const objects = localObjects(dir);
+
+  async function head(key) {
+    const stats = await objects.stat(key);
+    if (!stats) return null;
+    const meta = await objects.readMeta(key);
+    const contentType = meta.contentType;
+    return {
+      key,
+      size: stats.size,
+      etag: meta.metadata?.md5,
+      uploaded: stats.mtime,
+      customMetadata: meta.metadata || {},
+      httpMetadata: { contentType },
+      writeHttpMetadata(headers) {
+        if (contentType) headers.set("Content-Type", contentType);
+      },
+    };
+  }
+
+  return {
+    head,
+    async get(key) {
+      const object = await head(key);
+      return (
+        object && {
+          ...object,
+          body: Readable.toWeb(createReadStream(objects.objectPath(key))),
+        }
+      );
+    },
+    // Cursors are offsets into the sorted keys.
+    async list({ prefix = "", cursor, limit = 1000 } = {}) {
+      const keys = await objects.list(prefix);
+      const start = Number(cursor) || 0;
+      const page = await Promise.all(
+        keys.slice(start, start + limit).map(head),
+      );
+      const truncated = start + limit < keys.length;
+      return {
+        objects: page,
+        truncated,
+        cursor: truncated ? String(start + limit) : undefined,
+      };
+    },
+    async delete(keys) {
+      for (const key of [keys].flat()) await objects.remove(key);
+    },
+  };
+}
+
+// Serves `/images/<key>` from the local bucket, and
+// `/images/cdn-cgi/image/<options>/<key>` as the original.
+async function serveImage(pathname, response) {
+  const key = decodeURIComponent(pathname.slice("/images/".length)).replace(
+    /^cdn-cgi\/image\/[^/]+\//,
+    "",
+  );
+  const filePath = path.join(LOCAL_DIR, "objects", ...key.split("/"));
+  const stats = await fs.stat(filePath).catch(() => null);
+  if (
+    !filePath.startsWith(path.join(LOCAL_DIR, "objects") + path.sep) ||
+    !stats?.isFile()
+  ) {
+    response.writeHead(404).end();
+    return;
+  }
+  response.writeHead(200, {
+    "Content-Type":
+      contentTypes[path.extname(key).toLowerCase()] ||
+      "application/octet-stream",
+    "Content-Length": stats.size,
+    "Access-Control-Allow-Origin": "*",
+  });
+  createReadStream(filePath).pipe(response);
+}
+
+const env = {
+  ALLOWED_ORIGINS: "http://localhost:8080",
+  IMAGE_BASE_URL:
+    BACKEND === "local" ? `http://localhost:${PORT}/images` : undefined,
+  ...process.env,
+  STORAGE_BACKEND: BACKEND,
+  DIGIFILM_GALLERIES: jsonFileKv(METADATA_FILE),
+  ...(BACKEND === "local" && { DIGIFILM_IMAGES: localBucket(LOCAL_DIR) }),
+};
+
+// Nothing is cached, so uploads show up straight away.
+globalThis.caches = {
+  default: { match: async () => undefined, put: async () => {} },
+};
+
+// Workers' FixedLengthStream also sets the response's Content-Length, which
+// Node streams without.
+globalThis.FixedLengthStream ??= class extends TransformStream {
+  constructor() {
+    super();
+  }
+};
+
+const ctx = {
+  waitUntil: (promise) => promise.catch((error) => console.error(error)),
+  passThroughOnException() {},
+};
+
+createServer(async (request, response) => {
+  const url = new URL(request.url, `http://localhost:${PORT}`);
+  try {
+    if (BACKEND === "local" && url.pathname.startsWith("/images/")) {
+      await serveImage(url.pathname, response);
+      return;
+    }
+
+    const chunks = [];
+    for await (const chunk of request) chunks.push(chunk);
+    const result = await worker.fetch(
+      new Request(url, {
+        method: request.method,
+        headers: Object.entries(request.headers).flatMap(([name, value]) =>
+          [value].flat().map((item) => [name, item]),
+        ),
+        body: chunks.length > 0 ? Buffer.concat(chunks) : undefined,
+      }),
+      env,
+      ctx,
+    );
+
+    const headers = {};
+    result.headers.forEach((value, name) => {
+      headers[name] = value;
+    });
+    const cookies = result.headers.getSetCookie();
+    if (cookies.length > 0) headers["set-cookie"] = cookies;
+    response.writeHead(result.status, headers);
+    if (result.body) Readable.fromWeb(result.body).pipe(response);
+    else response.end();
+  } catch (error) {
+    console.error(`Error handling ${request.method} ${url.pathname}:`, error);
+    if (!response.headersSent) response.writeHead(500);
+    response.end();
+  }
+}).listen(PORT, () => {
+  console.log(
+    `digifilm API (${BACKEND} storage) on http://localhost:${PORT}, metadata in ${METADATA_FILE}`,
+  );
+});
@@ -1,11 +1,1108 @@
+import { hashPassword, verifyPassword } from "./passwords.js";
+import { presignUrl } from "./presign.js";
+import { imageBaseUrl, s3Credentials, withStorage } from "./storage.js";
+import { imageTokens, signToken, verifyToken } from "./tokens.js";
+import { createZip } from "./zip.js";
+
+const encoder = new TextEncoder();
+
+const getCookie = (request, name) => {
+  const cookies = request.headers.get("Cookie") || "";
+  for (const part of cookies.split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return value.join("=");
+  }
+  return null;
+};
+
+const sessionCookieName = (albumId) => `digifilm_session_${albumId}`;
+const SESSION_MAX_AGE = 7 * 86400;
+
+// Failed unlocks are counted per album and IP in
+// `unlock-attempts:<album>:<ip>` records of `{ count, until }`; past the limit
+// that IP can't unlock the album until the window ends. KV is eventually
+// consistent, so the count is approximate, but it's enough to stop guessing.
+const UNLOCK_ATTEMPT_LIMIT = 10;
+const UNLOCK_WINDOW = 15 * 60;
+
+const unlockAttemptsKey = (request, albumId) =>
+  `unlock-attempts:${albumId}:${request.headers.get("CF-Connecting-IP") || "unknown"}`;
+
+async function getUnlockAttempts(env, kvKey) {
+  const now = Math.floor(Date.now() / 1000);
+  const json = await env.DIGIFILM_GALLERIES.get(kvKey);
+  const attempts = json && JSON.parse(json);
+  return attempts?.until > now
+    ? attempts
+    : { count: 0, until: now + UNLOCK_WINDOW };
+}
+
+async function recordFailedUnlock(env, kvKey, { count, until }) {
+  // KV won't expire anything sooner than a minute out.
+  const ttl = Math.max(until - Math.floor(Date.now() / 1000), 60);
+  await env.DIGIFILM_GALLERIES.put(
+    kvKey,
+    JSON.stringify({ count: count + 1, until }),
+    { expirationTtl: ttl },
+  );
+}
+
+// Strips anything that should never leave the worker from an album record,
+// plus the photo list, which is merged into the images instead, and the
+// cover's sources, which album cards return in their own fields. The cover's
+// key is an original's, so albums without downloads leave it out too.
+const publicAlbumData = ({ password, photos, cover_image, ...album }) => ({
+  ...album,
+  cover_key: downloadsAllowed(album) ? album.cover_key : undefined,
+  allow_downloads: downloadsAllowed(album),
+  password_protected: Boolean(password),
+});
+
+// Client proofs are watermarked, so their originals are never offered even
+// if downloads were left switched on.
+const downloadsAllowed = (album) =>
+  Boolean(album.allow_downloads) && !album.proof;
+
+// Null for a malformed percent-encoding, which decodeURIComponent throws on.
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+const getDimensions = (head, key) => {
+  const width = parseInt(head?.customMetadata?.width, 10);
+  const height = parseInt(head?.customMetadata?.height, 10);
+  if (width > 0 && height > 0) return { width, height };
+  console.warn(`No metadata for ${key}, using fallback`);
+  return { width: 1200, height: 800 };
+};
+
+const filenameOf = (key) => key.slice(key.indexOf("/") + 1);
+
+// The grid shows images at up to ~800px wide, so the thumbnail is the
+// smallest derivative at least that big.
+const THUMBNAIL_WIDTH = 800;
+
+// Largest size shown in place of the original when downloads are disabled
+// (the uploader's largest derivative).
+const DISPLAY_WIDTH = 2400;
+
+// Builds `{ srcset: { avif, webp }, thumbnailSrc }` from a manifest entry's
+// derivatives, each at `<base>/<width>.<format>` plus `query`, and the
+// largest as `displaySrc`.
+function responsiveSources(base, { widths, formats }, query = "") {
+  const url = (width, format) => `${base}/${width}.${format}${query}`;
+  const srcset = Object.fromEntries(
+    formats.map((format) => [
+      format,
+      widths.map((w) => `${url(w, format)} ${w}w`).join(", "),
+    ]),
+  );
+  const thumbnailWidth =
+    widths.find((w) => w >= THUMBNAIL_WIDTH) ?? widths.at(-1);
+  const format = formats.includes("webp") ? "webp" : formats[0];
+
+  return {
+    srcset,
+    thumbnailSrc: url(thumbnailWidth, format),
+    displaySrc: url(widths.at(-1), format),
+    displayWidth: widths.at(-1),
+  };
+}
+
+// Sealed image URLs last until the end of the day after they're issued, so
+// they're the same all day and outlive a day in the edge cache. Covers'
+// never expire: they're baked into pre-rendered pages and their Open Graph
+// tags, which are only rebuilt now and then. `/image` stops serving them
+// once their album is deleted or made private.
+const imageTokenExpiry = () => (Math.floor(Date.now() / 86400000) + 2) * 86400;
+
+// Resolves to `{ id(key), sources(key, derivatives) }` for an album's images.
+// The bucket is public, so albums without downloads (`originals` false) never
+// give an original's key away: their images are identified by an opaque `id`
+// rather than their filename, and their derivatives are served by
+// `/image/<token>/<width>.<format>`, where the token seals the key (see
+// tokens.js). Their images without derivatives have no sources, rather than
+// being resized from the original. Other albums' images are served from the
+// bucket, falling back to Cloudflare image resizing. `cover` seals them
+// without an expiry.
+async function imageSources(env, url, originals, { cover = false } = {}) {
+  const baseUrl = imageBaseUrl(env);
+  if (originals) {
+    return {
+      id: async (key) => filenameOf(key),
+      // Must match derivativeKey in the uploader. The version changes
+      // whenever the uploader regenerates an image's derivatives, so stale
+      // CDN copies are missed.
+      sources: async (key, derivatives) =>
+        derivatives?.widths?.length
+          ? responsiveSources(
+              `${baseUrl}/_derived/${key}`,
+              derivatives,
+              derivatives.version ? `?v=${derivatives.version}` : "",
+            )
+          : {
+              thumbnailSrc: `${baseUrl}/cdn-cgi/image/quality=60/${key}`,
+              displaySrc: `${baseUrl}/cdn-cgi/image/width=${DISPLAY_WIDTH},quality=85/${key}`,
+              displayWidth: DISPLAY_WIDTH,
+            },
+    };
+  }
+
+  if (!env.TOKEN_SECRET) {
+    console.error(
+      "TOKEN_SECRET isn't set, so albums without downloads can't show their images",
+    );
+    return { id: async () => null, sources: async () => null };
+  }
+  const tokens = await imageTokens(env.TOKEN_SECRET);
+  const expires = cover ? undefined : imageTokenExpiry();
+  return {
+    id: tokens.id,
+    sources: async (key, derivatives) =>
+      derivatives?.widths?.length
+        ? responsiveSources(
+            `${url.origin}/image/${await tokens.seal({ key, version: derivatives.version, expires })}`,
+            derivatives,
+          )
+        : null,
+  };
+}
+
+// `sources` are the image's from imageSources. Without `original` (its URL
+// when downloads are allowed), `src` is the largest display size, and the
+// dimensions are scaled to match so the lightbox doesn't zoom past it.
+// `placeholder` (a tiny data URI) and `color` are painted while the image
+// loads. EXIF GPS coordinates are left out unless `gps` is set, since they
+// can pinpoint someone's home.
+function toImageResponse(
+  { key, width, height, placeholder, exif },
+  { caption, alt } = {},
+  { id, sources: { displaySrc, displayWidth, ...sources }, original, gps },
+) {
+  const scale = original ? 1 : Math.min(1, displayWidth / width);
+
+  return {
+    id,
+    file: original ? filenameOf(key) : undefined,
+    src: original ?? displaySrc,
+    ...sources,
+    width: Math.round(width * scale),
+    height: Math.round(height * scale),
+    placeholder: placeholder?.src,
+    color: placeholder?.color,
+    caption,
+    alt,
+    exif: exif && !gps ? { ...exif, gps: undefined } : exif,
+  };
+}
+
+// Resolves to the images `/album/:id` returns for `entries`, or null if any
+// of them can't be shown. Originals and GPS coordinates follow the album's
+// settings unless overridden.
+async function albumImages(
+  env,
+  url,
+  album,
+  entries,
+  { originals = downloadsAllowed(album), gps = Boolean(album.show_gps) } = {},
+) {
+  const { id, sources } = await imageSources(env, url, originals);
+  const photos = new Map(
+    (album.photos || []).map((photo) => [photo.file, photo]),
+  );
+  const images = await Promise.all(
+    entries.map(async (entry) => {
+      const imageSources = await sources(entry.key, entry.derivatives);
+      return (
+        imageSources &&
+        toImageResponse(entry, photos.get(filenameOf(entry.key)), {
+          id: await id(entry.key),
+          sources: imageSources,
+          original: originals ? `${imageBaseUrl(env)}/${entry.key}` : undefined,
+          gps,
+        })
+      );
+    }),
+  );
+  return images.includes(null) ? null : images;
+}
+
+const compareFilenames = (a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+
+// Orders manifest entries by the album's `sort` mode. `photos` lists the
+// manually ordered filenames; anything missing from it (or without a date
+// taken, when sorting by date) goes last in filename order. The uploader's
+// `photos export` orders the same way.
+function orderEntries(entries, album) {
+  if (album.sort === "manual") {
+    const position = new Map(
+      (album.photos || []).map((photo, index) => [photo.file, index]),
+    );
+    const rank = (entry) =>
+      position.get(filenameOf(entry.key)) ?? Number.MAX_SAFE_INTEGER;
+    return entries.sort((a, b) => rank(a) - rank(b) || compareFilenames(a, b));
+  }
+
+  if (album.sort === "date") {
+    return entries.sort((a, b) => {
+      const [takenA, takenB] = [a.exif?.takenAt, b.exif?.takenAt];
+      if (takenA === takenB) return compareFilenames(a, b);
+      if (!takenA || !takenB) return takenA ? -1 : 1;
+      return takenA < takenB ? -1 : 1;
+    });
+  }
+
+  return entries.sort(compareFilenames);
+}
+
+// Manifests are written by the uploader to `manifest:<albumId>`. Their
+// cursors are plain offsets into the ordered image list.
+function pageFromManifest(manifest, album, limit, cursor) {
+  const entries = orderEntries([...manifest.images], album);
+  if (!(limit > 0)) return { entries, cursor: null };
+
+  const start = parseInt(cursor, 10) || 0;
+  const end = start + limit;
+  return {
+    entries: entries.slice(start, end),
+    cursor: end < entries.length ? String(end) : null,
+  };
+}
+
+// Filters and orders the public album list for `/albums`:
+//   ?tag=      only albums with this tag (repeat to require several)
+//   ?q=        only albums whose title or description contains this
+//   ?sort=     `date` (newest first, undated last) or `title`; otherwise
+//              albums stay in ID order
+//   ?limit=    page size, with `?cursor=` (an offset) for later pages
+// `tags` counts every tag across the public albums, whatever the filters.
+function pageOfAlbums(albums, params) {
+  const tagCounts = {};
+  for (const album of albums) {
+    for (const tag of album.tags || []) {
+      tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+    }
+  }
+
+  const wanted = params.getAll("tag").map((tag) => tag.trim().toLowerCase());
+  const query = (params.get("q") || "").trim().toLowerCase();
+  const matches = albums.filter(
+    (album) =>
+      wanted.every((tag) => album.tags?.includes(tag)) &&
+      (!query ||
+        `${album.title || ""}\n${album.description || ""}`
+          .toLowerCase()
+          .includes(query)),
+  );
+
+  const byTitle = (a, b) =>
+    (a.title || a.id).localeCompare(b.title || b.id, undefined, {
+      sensitivity: "base",
+    });
+  const sort = params.get("sort");
+  if (sort === "title") matches.sort(byTitle);
+  if (sort === "date") {
+    matches.sort((a, b) => {
+      if (a.date === b.date) return byTitle(a, b);
+      if (!a.date || !b.date) return a.date ? -1 : 1;
+      return a.date < b.date ? 1 : -1;
+    });
+  }
+
+  const limit = parseInt(params.get("limit"), 10);
+  const start = limit > 0 ? parseInt(params.get("cursor"), 10) || 0 : 0;
+  const end = limit > 0 ? start + limit : matches.length;
+  return {
+    albums: matches.slice(start, end),
+    tags: tagCounts,
+    total: matches.length,
+    cursor: end < matches.length ? String(end) : null,
+  };
+}
+
+// Album cards need their cover's derivatives and placeholder, which are
+// copied from its manifest entry into the album record as `cover_image`, so
+// `/albums` needn't read every manifest. Must match withCoverImage in the
+// uploader.
+function withCoverImage(album, images = []) {
+  const { cover_image, ...rest } = album;
+  const entry = images.find((image) => image.key === album.cover_key);
+  if (!entry?.derivatives && !entry?.placeholder) return rest;
+  return {
+    ...rest,
+    cover_image: {
+      derivatives: entry.derivatives,
+      placeholder: entry.placeholder,
+    },
+  };
+}
+
+async function manifestImages(env, albumId) {
+  const json = await env.DIGIFILM_GALLERIES.get(`manifest:${albumId}`);
+  return json ? JSON.parse(json).images : [];
+}
+
+// Whether the album `key` is in exists and isn't private.
+async function isListedAlbum(env, key) {
+  const json = await env.DIGIFILM_GALLERIES.get(
+    `album:${key.slice(0, key.indexOf("/"))}`,
+  );
+  return Boolean(json) && !JSON.parse(json).private;
+}
+
+// A cover's `coverImage`, `coverSrcset`, `coverPlaceholder` and
+// `coverColor`, from its `cover_image` where there is one. `album` is the
+// one the cover is from, whose downloads setting decides where it's served.
+async function coverSources(env, url, album, coverKey, coverImage) {
+  const { sources } = await imageSources(env, url, downloadsAllowed(album), {
+    cover: true,
+  });
+  const { srcset, thumbnailSrc } =
+    (coverKey && (await sources(coverKey, coverImage?.derivatives))) || {};
+  return {
+    coverImage: thumbnailSrc,
+    coverSrcset: srcset,
+    coverPlaceholder: coverImage?.placeholder?.src,
+    coverColor: coverImage?.placeholder?.color,
+  };
+}
+
+// An album as listed on the galleries page: its public fields and its
+// cover's sources.
+async function albumCard(env, url, albumId, album) {
+  const { cover_key, ...albumData } = publicAlbumData(album);
+  return {
+    id: albumId,
+    ...(await coverSources(
+      env,
+      url,
+      album,
+      album.cover_key,
+      album.cover_image,
+    )),
+    ...albumData,
+  };
+}
+
+// Collections are `collection:<id>` records of `{ title, description,
+// cover_key, albums }`, where `albums` is an ordered list of album IDs.
+// Resolves to `[id, album]` for each of those that exists and isn't private.
+async function publicCollectionAlbums(env, collection) {
+  const albums = await Promise.all(
+    (collection.albums || []).map(async (albumId) => {
+      const json = await env.DIGIFILM_GALLERIES.get(`album:${albumId}`);
+      return [albumId, json && JSON.parse(json)];
+    }),
+  );
+  return albums.filter(([, album]) => album && !album.private);
+}
+
+// A collection's public fields and cover, which is its own `cover_key` or
+// else its first album's. Its own cover is only used from a public album in
+// it, so a private album's photo is never shown.
+async function collectionCard(
+  env,
+  url,
+  collectionId,
+  collection,
+  publicAlbums,
+) {
+  const { cover_key, albums, ...collectionData } = collection;
+  const coverAlbumId = cover_key?.slice(0, cover_key.indexOf("/"));
+  const coverAlbum = publicAlbums.find(([albumId]) => albumId === coverAlbumId);
+  let cover = {};
+  if (coverAlbum) {
+    // Only a cover that isn't its album's needs the album's manifest.
+    const [, album] = coverAlbum;
+    const { cover_image } =
+      album.cover_key === cover_key
+        ? album
+        : withCoverImage(
+            { cover_key },
+            await manifestImages(env, coverAlbumId),
+          );
+    cover = await coverSources(env, url, album, cover_key, cover_image);
+  } else if (publicAlbums.length) {
+    const [, album] = publicAlbums[0];
+    cover = await coverSources(
+      env,
+      url,
+      album,
+      album.cover_key,
+      album.cover_image,
+    );
+  }
+  return {
+    id: collectionId,
+    ...collectionData,
+    ...cover,
+    album_count: publicAlbums.length,
+  };
+}
+
+// Fallback for albums uploaded before manifests existed: list R2 and HEAD
+// every image for its dimensions. Images come back in R2's (filename) order
+// whatever the album's sort mode.
+async function pageFromR2(env, albumId, limit, cursor) {
+  const paged = limit > 0;
+  const objects = [];
+  cursor ||= undefined;
+
+  do {
+    const listing = await env.DIGIFILM_IMAGES.list({
+      prefix: `${albumId}/`,
+      cursor,
+      limit: paged ? Math.min(limit, 1000) : undefined,
+    });
+    objects.push(...listing.objects);
+    cursor = listing.truncated ? listing.cursor : null;
+  } while (cursor && !paged);
+
+  const entries = await Promise.all(
+    objects
+      .filter(
+        (obj) => obj.size > 0 && /\.(jpe?g|png|gif|webp|avif)$/i.test(obj.key),
+      )
+      .map(async (obj) => {
+        const head = await env.DIGIFILM_IMAGES.head(obj.key).catch(() => null);
+        return {
+          key: obj.key,
+          size: obj.size,
+          uploaded_at: obj.uploaded.toISOString(),
+          ...getDimensions(head, obj.key),
+        };
+      }),
+  );
+
+  return { entries, cursor };
+}
+
+const CACHE_CONTROL_PUBLIC = "public, max-age=60, s-maxage=86400";
+const CACHE_CONTROL_PRIVATE = "private, no-cache";
+
+async function jsonResponse(data, cacheControl) {
+  const body = JSON.stringify(data);
+  const digest = await crypto.subtle.digest("SHA-1", encoder.encode(body));
+  const etag = [...new Uint8Array(digest)]
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": cacheControl,
+      ETag: `"${etag}"`,
+    },
+  });
+}
+
+// Edge-caches `build()`'s response under a key that includes `cache:version`.
+// The uploader bumps that key whenever it changes an album, which moves every
+// lookup onto fresh cache entries instead of purging old ones.
+async function cached(env, ctx, url, build) {
+  const version = (await env.DIGIFILM_GALLERIES.get("cache:version")) || "0";
+  const cacheUrl = new URL(url);
+  cacheUrl.searchParams.set("__v", version);
+  const cacheKey = new Request(cacheUrl.toString());
+
+  const hit = await caches.default.match(cacheKey);
+  if (hit) return hit;
+
+  const response = await build();
+  if (response.ok)
+    ctx.waitUntil(caches.default.put(cacheKey, response.clone()));
+  return response;
+}
+
+const etagMatches = (header, etag) =>
+  Boolean(header && etag) &&
+  header
+    .split(",")
+    .some(
+      (tag) => tag.trim() === "*" || tag.trim().replace(/^W\//, "") === etag,
+    );
+
+// CORS headers depend on the request origin, so they're added after the
+// cache rather than stored in it.
+function finalizeResponse(request, response, corsHeaders) {
+  const headers = new Headers(response.headers);
+  for (const [name, value] of Object.entries(corsHeaders)) {
+    headers.set(name, value);
+  }
+
+  if (etagMatches(request.headers.get("If-None-Match"), headers.get("ETag"))) {
+    return new Response(null, { headers, status: 304 });
+  }
+  return new Response(response.body, { headers, status: response.status });
+}
+
+// Returns the error response for a caller who may not see `album`, or null.
+// Private albums need a share token; password-protected ones a session cookie
+// from /unlock.
+async function albumAccessError(request, env, url, albumId, album, headers) {
+  if (
+    album.private &&
+    !(await verifyToken(
+      env.TOKEN_SECRET,
+      "share",
+      albumId,
+      url.searchParams.get("token"),
+    ))
+  ) {
+    return Response.json(
+      { error: "This album is private" },
+      { headers, status: 403 },
+    );
+  }
+
+  if (
+    album.password &&
+    !(await verifyToken(
+      env.TOKEN_SECRET,
+      "session",
+      albumId,
+      getCookie(request, sessionCookieName(albumId)),
+    ))
+  ) {
+    return Response.json(
+      {
+        error: "This album is password protected",
+        passwordRequired: true,
+        album: { id: albumId, title: album.title },
+      },
+      { headers, status: 401 },
+    );
+  }
+
+  return null;
+}
+
+// Renamed and merged albums leave `redirect:<id>` records of `{ album }`, the
+// ID they became, so old links keep working. Resolves to a redirect to the
+// same route under the new album, or null. It's a 307, since browsers cache a
+// 301 for good (which would break the old ID if it were reused) and a 307
+// keeps POSTs to `/unlock` and `/selections` as POSTs. A valid share token
+// for the old ID is swapped for one for the new ID with the same expiry.
+async function albumRedirect(env, url, albumId, headers) {
+  const json = await env.DIGIFILM_GALLERIES.get(`redirect:${albumId}`);
+  if (!json) return null;
+
+  const { album: newId } = JSON.parse(json);
+  const route = url.pathname.slice(`/album/${albumId}`.length);
+  const location = new URL(`/album/${newId}${route}${url.search}`, url);
+  const token = url.searchParams.get("token");
+  if (await verifyToken(env.TOKEN_SECRET, "share", albumId, token)) {
+    location.searchParams.set(
+      "token",
+      await signToken(env.TOKEN_SECRET, "share", newId, token.split(".")[0]),
+    );
+  }
+  return Response.json(
+    { redirect: newId },
+    { headers: { ...headers, Location: location.href }, status: 307 },
+  );
+}
+
+const MAX_SELECTION_FILES = 5000;
+const MAX_NAME_LENGTH = 100;
+const MAX_EMAIL_LENGTH = 254;
+const MAX_NOTE_LENGTH = 2000;
+
+// Validates a submitted selection, `{ name, email, note, files }`, where
+// `files` are image IDs (see imageSources). At least one of name and email is
+// required. `filenames` maps the album's image IDs to their filenames, which
+// are what's stored; without one the IDs are taken as filenames unchecked.
+function parseSelection(body, filenames) {
+  const text = (value) => (typeof value === "string" ? value.trim() : "");
+  const name = text(body?.name);
+  const email = text(body?.email).toLowerCase();
+  const note = text(body?.note);
+  const files = Array.isArray(body?.files)
+    ? [...new Set(body.files.filter((file) => typeof file === "string"))]
+    : [];
+
+  if (!name && !email) return { error: "A name or email is required" };
+  if (name.length > MAX_NAME_LENGTH) return { error: "Name is too long" };
+  if (email && (email.length > MAX_EMAIL_LENGTH || !/^\S+@\S+$/.test(email))) {
+    return { error: "Email address is invalid" };
+  }
+  if (note.length > MAX_NOTE_LENGTH) return { error: "Note is too long" };
+  if (!files.length) return { error: "No photos selected" };
+  if (files.length > MAX_SELECTION_FILES) {
+    return { error: "Too many photos selected" };
+  }
+  const unknown = filenames && files.filter((file) => !filenames.has(file));
+  if (unknown?.length) {
+    return { error: `Not in this album: ${unknown.slice(0, 5).join(", ")}` };
+  }
+
+  return {
+    selection: {
+      name: name || undefined,
+      email: email || undefined,
+      note: note || undefined,
+      files: filenames ? files.map((file) => filenames.get(file)) : files,
+    },
+  };
+}
+
+// One record per person, so resubmitting replaces the earlier selection.
+// Keyed by email when given, since names are easier to mistype.
+const selectionKey = (albumId, { name, email }) =>
+  `selections:${albumId}:${email || name.toLowerCase()}`;
+
+// Maps an image entry to a ZIP entry read straight from R2. EXIF dates are
+// wall-clock times, which is also what ZIP timestamps hold, so they're
+// passed through as if they were UTC.
+const toZipEntry = (env, albumId, entry) => ({
+  name: `${albumId}/${filenameOf(entry.key)}`,
+  size: entry.size,
+  crc32: entry.crc32,
+  modified: new Date(
+    entry.exif?.takenAt ? `${entry.exif.takenAt}Z` : entry.uploaded_at,
+  ),
+  open: async () => {
+    const object = await env.DIGIFILM_IMAGES.get(entry.key);
+    if (!object) throw new Error(`${entry.key} is missing from R2`);
+    return object.body;
+  },
+});
+
+// Presigned upload URLs are good for an hour.
+const UPLOAD_URL_EXPIRY = 3600;
+
+// Tags are matched case-insensitively, so they're stored lowercase. Must
+// match normalizeTags in the uploader.
+const normalizeTags = (tags) => [
+  ...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean)),
+];
+
+// Same rule as the uploader's validateAlbumId.
+const isValidAlbumId = (albumId) => /^[a-z0-9-]+$/.test(albumId);
+
+const IMAGE_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  avif: "image/avif",
+};
+
+const imageType = (file) =>
+  IMAGE_TYPES[/\.([^.]+)$/.exec(file)?.[1].toLowerCase()];
+
+// Admin responses show whether an album has a password, never its hash.
+const adminAlbumData = ({ password, ...album }) => ({
+  ...album,
+  password_protected: Boolean(password),
+});
+
+const bumpCacheVersion = (env) =>
+  env.DIGIFILM_GALLERIES.put("cache:version", String(Date.now()));
+
+// Admin routes take `Authorization: Bearer <ADMIN_TOKEN>`. Digests of the
+// two are compared, so the comparison takes as long whatever the token.
+async function adminAuthError(request, env, headers) {
+  const [scheme, token] = (request.headers.get("Authorization") || "").split(
+    " ",
+  );
+  if (env.ADMIN_TOKEN && scheme === "Bearer" && token) {
+    const [expected, actual] = await Promise.all(
+      [env.ADMIN_TOKEN, token].map((value) =>
+        crypto.subtle.digest("SHA-256", encoder.encode(value)),
+      ),
+    );
+    const a = new Uint8Array(expected);
+    const b = new Uint8Array(actual);
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+    if (diff === 0) return null;
+  }
+
+  return Response.json(
+    { error: "Admin token required" },
+    { headers: { ...headers, "WWW-Authenticate": "Bearer" }, status: 401 },
+  );
+}
+
+// Album dates are a year, month or day, e.g. "2025", "2025-06" or
+// "2025-06-14"; `date_end` closes a range.
+const isAlbumDate = (value) =>
+  typeof value === "string" &&
+  (value === "" ||
+    /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/.test(value));
+
+// Fields an empty string removes rather than sets.
+const CLEARABLE_FIELDS = [
+  "film_stock",
+  "watermark",
+  "date",
+  "date_end",
+  "location",
+];
+
+// The fields `PUT /admin/album/:id` accepts, each with a check that its
+// value is the right type. A null password removes it.
+const ALBUM_FIELDS = {
+  title: (value) => typeof value === "string",
+  description: (value) => typeof value === "string",
+  film_stock: (value) => typeof value === "string",
+  location: (value) => typeof value === "string",
+  date: isAlbumDate,
+  date_end: isAlbumDate,
+  tags: (value) =>
+    Array.isArray(value) && value.every((tag) => typeof tag === "string"),
+  cover_key: (value) => typeof value === "string",
+  watermark: (value) => typeof value === "string",
+  private: (value) => typeof value === "boolean",
+  allow_downloads: (value) => typeof value === "boolean",
+  allow_selections: (value) => typeof value === "boolean",
+  show_gps: (value) => typeof value === "boolean",
+  proof: (value) => typeof value === "boolean",
+  metadata_policy: (value) => ["keep", "whitelist", "strip"].includes(value),
+  sort: (value) => ["filename", "date", "manual"].includes(value),
+  password: (value) =>
+    value === null || (typeof value === "string" && value.length > 0),
+};
+
+// Applies `changes` on top of `existing` (or a new album's defaults, which
+// match the uploader's), resolving to the record to store or an error.
+async function applyAlbumChanges(albumId, existing, changes) {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    return { error: "Expected a JSON object" };
+  }
+  for (const [field, value] of Object.entries(changes)) {
+    if (!ALBUM_FIELDS[field]) return { error: `Unknown field "${field}"` };
+    if (!ALBUM_FIELDS[field](value)) return { error: `Invalid ${field}` };
+  }
+
+  const album = {
+    title: albumId.replace(/-/g, " "),
+    description: "",
+    cover_key: `${albumId}/cover.jpg`,
+    allow_downloads: true,
+    private: false,
+    ...existing,
+  };
+  for (const [field, value] of Object.entries(changes)) {
+    if (field === "password") continue;
+    if (field === "cover_key") {
+      album.cover_key = value.startsWith(`${albumId}/`)
+        ? value
+        : `${albumId}/${value}`;
+    } else if (field === "tags") {
+      const tags = normalizeTags(value);
+      if (tags.length) album.tags = tags;
+      else delete album.tags;
+    } else if (CLEARABLE_FIELDS.includes(field) && !value.trim()) {
+      delete album[field];
+    } else {
+      album[field] = typeof value === "string" ? value.trim() : value;
+    }
+  }
+
+  if (changes.password === null) delete album.password;
+  else if (changes.password) {
+    album.password = await hashPassword(changes.password);
+  }
+  return { album };
+}
+
+async function listR2Keys(env, prefix) {
+  const keys = [];
+  let cursor;
+  do {
+    const listing = await env.DIGIFILM_IMAGES.list({ prefix, cursor });
+    keys.push(...listing.objects.map((obj) => obj.key));
+    cursor = listing.truncated ? listing.cursor : null;
+  } while (cursor);
+  return keys;
+}
+
+async function listKvKeys(env, prefix) {
+  const names = [];
+  let cursor;
+  do {
+    const listing = await env.DIGIFILM_GALLERIES.list({ prefix, cursor });
+    names.push(...listing.keys.map((key) => key.name));
+    cursor = listing.list_complete ? null : listing.cursor;
+  } while (cursor);
+  return names;
+}
+
+// Builds a manifest entry for an object uploaded without the uploader (so
+// without EXIF, a CRC-32 or derivatives), from its R2 metadata.
+function describeUploadedObject(head) {
+  const md5 = head.checksums?.md5;
+  return {
+    key: head.key,
+    ...getDimensions(head, head.key),
+    size: head.size,
+    md5: md5
+      ? [...new Uint8Array(md5)]
+          .map((b) => b.toString(16).padStart(2, "0"))
+          .join("")
+      : undefined,
+    uploaded_at: head.uploaded.toISOString(),
+  };
+}
+
+// Routes for managing albums without the uploader's Cloudflare credentials.
+async function handleAdmin(request, env, url, headers) {
+  const authError = await adminAuthError(request, env, headers);
+  if (authError) return authError;
+
+  const json = (data, status = 200) =>
+    Response.json(data, {
+      headers: { ...headers, "Cache-Control": "no-store" },
+      status,
+    });
+
+  if (url.pathname === "/admin/albums" && request.method === "GET") {
+    const albums = await Promise.all(
+      (await listKvKeys(env, "album:")).map(async (name) => ({
+        id: name.replace("album:", ""),
+        ...adminAlbumData(JSON.parse(await env.DIGIFILM_GALLERIES.get(name))),
+      })),
+    );
+    return json(albums);
+  }
+
+  const match = url.pathname.match(
+    /^\/admin\/album\/([^/]+)(?:\/(cover|uploads|images))?$/,
+  );
+  if (!match) return json({ error: "Not found" }, 404);
+  const [, albumId, action] = match;
+  if (!isValidAlbumId(albumId)) {
+    return json(
+      {
+        error:
+          "Album ID must contain only lowercase letters, numbers, and hyphens",
+      },
+      400,
+    );
+  }
+
+  const metaJson = await env.DIGIFILM_GALLERIES.get(`album:${albumId}`);
+  const existing = metaJson ? JSON.parse(metaJson) : null;
+  const route = `${request.method} ${action || ""}`.trim();
+
+  // Creates the album or updates the fields given; the rest keep their
+  // values.
+  if (route === "PUT") {
+    const changes = await request.json().catch(() => null);
+    const { album, error } = await applyAlbumChanges(
+      albumId,
+      existing,
+      changes,
+    );
+    if (error) return json({ error }, 400);
+
+    const record =
+      album.cover_key === existing?.cover_key
+        ? album
+        : withCoverImage(album, await manifestImages(env, albumId));
+    await env.DIGIFILM_GALLERIES.put(
+      `album:${albumId}`,
+      JSON.stringify(record),
+    );
+    await bumpCacheVersion(env);
+    return json(
+      { id: albumId, ...adminAlbumData(record) },
+      existing ? 200 : 201,
+    );
+  }
+
+  if (route === "DELETE") {
+    const keys = [
+      ...(await listR2Keys(env, `${albumId}/`)),
+      ...(await listR2Keys(env, `_derived/${albumId}/`)),
+    ];
+    if (!existing && keys.length === 0) {
+      return json({ error: `Album '${albumId}' not found` }, 404);
+    }
+
+    // R2 deletes up to 1000 keys per call.
+    for (let i = 0; i < keys.length; i += 1000) {
+      await env.DIGIFILM_IMAGES.delete(keys.slice(i, i + 1000));
+    }
+    const kvKeys = [
+      `album:${albumId}`,
+      `manifest:${albumId}`,
+      ...(await listKvKeys(env, `selections:${albumId}:`)),
+    ];
+    // Redirects from its old IDs would only lead to a 404 now.
+    for (const kvKey of await listKvKeys(env, "redirect:")) {
+      const redirect = JSON.parse(await env.DIGIFILM_GALLERIES.get(kvKey));
+      if (redirect?.album === albumId) kvKeys.push(kvKey);
+    }
+    for (const kvKey of kvKeys) await env.DIGIFILM_GALLERIES.delete(kvKey);
+    await bumpCacheVersion(env);
+    return json({ id: albumId, deleted: true, objects: keys.length });
+  }
+
+  if (!existing) return json({ error: `Album '${albumId}' not found` }, 404);
+
+  if (route === "GET") {
+    const manifestJson = await env.DIGIFILM_GALLERIES.get(
+      `manifest:${albumId}`,
+    );
+    const { entries } = manifestJson
+      ? pageFromManifest(JSON.parse(manifestJson), existing)
+      : await pageFromR2(env, albumId);
+    return json({
+      album: { id: albumId, ...adminAlbumData(existing) },
+      images: await albumImages(env, url, existing, entries, {
+        originals: true,
+        gps: true,
+      }),
+    });
+  }
+
+  if (route === "POST cover") {
+    const { file } = (await request.json().catch(() => null)) ?? {};
+    if (typeof file !== "string" || !file) {
+      return json({ error: "Expected { file }" }, 400);
+    }
+    const key = file.startsWith(`${albumId}/`) ? file : `${albumId}/${file}`;
+    if (!(await env.DIGIFILM_IMAGES.head(key))) {
+      return json({ error: `Photo '${filenameOf(key)}' not found` }, 404);
+    }
+
+    const album = withCoverImage(
+      { ...existing, cover_key: key },
+      await manifestImages(env, albumId),
+    );
+    await env.DIGIFILM_GALLERIES.put(`album:${albumId}`, JSON.stringify(album));
+    await bumpCacheVersion(env);
+    return json({ id: albumId, ...adminAlbumData(album) });
+  }
+
+  // Presigned PUT URLs for uploading straight to the bucket. Each is signed
+  // for its content type and, when given, the image's dimensions, which go
+  // into the same object metadata the uploader writes. Register the files
+  // with `POST .../images` once they're up.
+  if (route === "POST uploads") {
+    const credentials = s3Credentials(env);
+    if (!credentials) {
+      return json({ error: "Presigned uploads aren't configured" }, 501);
+    }
+    const { files } = (await request.json().catch(() => null)) ?? {};
+    if (!Array.isArray(files) || !files.length || files.length > 500) {
+      return json({ error: "Expected { files } with 1-500 entries" }, 400);
+    }
+
+    const uploads = [];
+    for (const file of files) {
+      const { name, width, height } = file ?? {};
+      const type = typeof name === "string" && imageType(name);
+      if (!type || name.includes("/")) {
+        return json({ error: `Not an image filename: ${name}` }, 400);
+      }
+      const signedHeaders = { "Content-Type": type };
+      if (width > 0 && height > 0) {
+        signedHeaders["x-amz-meta-width"] = String(Math.round(width));
+        signedHeaders["x-amz-meta-height"] = String(Math.round(height));
+      }
+      const key = `${albumId}/${name}`;
+      uploads.push({
+        file: name,
+        key,
+        method: "PUT",
+        headers: signedHeaders,
+        url: await presignUrl({
+          ...credentials,
+          key,
+          headers: signedHeaders,
+          expiresIn: UPLOAD_URL_EXPIRY,
+        }),
+      });
+    }
+    return json({ uploads, expires_in: UPLOAD_URL_EXPIRY });
+  }
+
+  // Adds uploaded files to the manifest (creating it from R2 for albums
+  // without one). Entries are read-modify-written, so register each batch
+  // after the previous one has finished.
+  if (route === "POST images") {
+    const { files } = (await request.json().catch(() => null)) ?? {};
+    if (!Array.isArray(files) || !files.every((f) => typeof f === "string")) {
+      return json({ error: "Expected { files }" }, 400);
+    }
+
+    const manifestJson = await env.DIGIFILM_GALLERIES.get(
+      `manifest:${albumId}`,
+    );
+    const images = new Map(
+      (manifestJson
+        ? JSON.parse(manifestJson).images
+        : (await pageFromR2(env, albumId)).entries
+      ).map((entry) => [entry.key, entry]),
+    );
+    const missing = [];
+    for (const file of files) {
+      const head = await env.DIGIFILM_IMAGES.head(`${albumId}/${file}`);
+      if (head) images.set(head.key, describeUploadedObject(head));
+      else missing.push(file);
+    }
+
+    // Same order and shape as the uploader's writeManifest.
+    const entries = [...images.values()].sort(compareFilenames);
+    entries.forEach((entry, index) => (entry.order = index));
+    await env.DIGIFILM_GALLERIES.put(
+      `manifest:${albumId}`,
+      JSON.stringify({
+        version: 1,
+        updated_at: new Date().toISOString(),
+        images: entries,
+      }),
+    );
+    if (existing) {
+      await env.DIGIFILM_GALLERIES.put(
+        `album:${albumId}`,
+        JSON.stringify(withCoverImage(existing, entries)),
+      );
+    }
+    await bumpCacheVersion(env);
+    return json({
+      id: albumId,
+      added: files.length - missing.length,
+      missing,
+      images: entries.length,
+    });
+  }
+
+  return json({ error: "Not found" }, 404);
+}
+
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
+    env = withStorage(env);
     const url = new URL(request.url);
+    const origin = request.headers.get("Origin");
+    const allowedOrigins = (env.ALLOWED_ORIGINS || "")
+      .split(",")
+      .map((o) => o.trim());
+
+    // Credentialed requests (album session cookies) need the exact origin
+    // echoed back rather than a wildcard, so only origins in ALLOWED_ORIGINS
+    // can make them. The site only sends credentials for password-protected
+    // albums, so public ones work from anywhere.
     const corsHeaders = {
       "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
+      "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization",
     };
+    if (origin && allowedOrigins.includes(origin)) {
+      corsHeaders["Access-Control-Allow-Origin"] = origin;
+      corsHeaders["Access-Control-Allow-Credentials"] = "true";
+      corsHeaders["Vary"] = "Origin";
+    }
 
     if (request.method === "OPTIONS") {
       return new Response(null, {
@@ -14,40 +1111,53 @@ export default {
       });
     }
 
-    const getDimensions = (head, key) => {
-      const width = parseInt(head?.customMetadata?.width, 10);
-      const height = parseInt(head?.customMetadata?.height, 10);
-      if (width > 0 && height > 0) return { width, height };
-      console.warn(`No metadata for ${key}, using fallback`);
-      return { width: 1200, height: 800 };
-    };
+    if (url.pathname.startsWith("/admin/")) {
+      try {
+        return await handleAdmin(request, env, url, corsHeaders);
+      } catch (error) {
+        console.error(
+          `Error handling ${request.method} ${url.pathname}:`,
+          error,
+        );
+        return Response.json(
+          { error: `Admin request failed: ${error.message}` },
+          { headers: corsHeaders, status: 500 },
+        );
+      }
+    }
 
     if (url.pathname === "/albums") {
       try {
-        const albums = [];
-        let cursor;
-
-        do {
-          const {
-            keys,
-            cursor: nextCursor,
-            list_complete,
-          } = await env.DIGIFILM_GALLERIES.list({ prefix: "album:", cursor });
-
-          for (const { name } of keys) {
-            const meta = JSON.parse(await env.DIGIFILM_GALLERIES.get(name));
-            const { cover_key, ...albumData } = meta;
-            albums.push({
-              id: name.replace("album:", ""),
-              coverImage: `https://r2.digifilm.pics/cdn-cgi/image/quality=60/${cover_key}`,
-              ...albumData,
-            });
-          }
+        const response = await cached(env, ctx, url, async () => {
+          const albums = [];
+          let cursor;
+
+          do {
+            const {
+              keys,
+              cursor: nextCursor,
+              list_complete,
+            } = await env.DIGIFILM_GALLERIES.list({ prefix: "album:", cursor });
+
+            for (const { name } of keys) {
+              const meta = JSON.parse(await env.DIGIFILM_GALLERIES.get(name));
+              if (meta.private) continue;
 
-          cursor = list_complete ? null : nextCursor;
-        } while (cursor);
+              albums.push(
+                await albumCard(env, url, name.replace("album:", ""), meta),
+              );
+            }
+
+            cursor = list_complete ? null : nextCursor;
+          } while (cursor);
+
+          return jsonResponse(
+            pageOfAlbums(albums, url.searchParams),
+            CACHE_CONTROL_PUBLIC,
+          );
+        });
 
-        return Response.json(albums, { headers: corsHeaders });
+        return finalizeResponse(request, response, corsHeaders);
       } catch (error) {
         console.error("Error fetching albums:", error);
         return Response.json(
@@ -57,53 +1167,538 @@ export default {
       }
     }
 
-    if (url.pathname.startsWith("/album/")) {
-      const albumId = url.pathname.slice(7);
-      if (!albumId) {
+    // Collections with no public albums are left out.
+    if (url.pathname === "/collections") {
+      try {
+        const response = await cached(env, ctx, url, async () => {
+          const names = [];
+          let cursor;
+          do {
+            const listing = await env.DIGIFILM_GALLERIES.list({
+              prefix: "collection:",
+              cursor,
+            });
+            names.push(...listing.keys.map((key) => key.name));
+            cursor = listing.list_complete ? null : listing.cursor;
+          } while (cursor);
+
+          const collections = [];
+          for (const name of names) {
+            const collection = JSON.parse(
+              await env.DIGIFILM_GALLERIES.get(name),
+            );
+            const albums = await publicCollectionAlbums(env, collection);
+            if (!albums.length) continue;
+            collections.push(
+              await collectionCard(
+                env,
+                url,
+                name.replace("collection:", ""),
+                collection,
+                albums,
+              ),
+            );
+          }
+
+          return jsonResponse({ collections }, CACHE_CONTROL_PUBLIC);
+        });
+
+        return finalizeResponse(request, response, corsHeaders);
+      } catch (error) {
+        console.error("Error fetching collections:", error);
         return Response.json(
-          { error: "Album ID required" },
-          { headers: corsHeaders, status: 400 },
+          { error: `Failed to fetch collections: ${error.message}` },
+          { headers: corsHeaders, status: 500 },
+        );
+      }
+    }
+
+    const collectionMatch = url.pathname.match(/^\/collection\/([^/]+)$/);
+    if (collectionMatch && request.method === "GET") {
+      const collectionId = collectionMatch[1];
+
+      try {
+        const response = await cached(env, ctx, url, async () => {
+          const json = await env.DIGIFILM_GALLERIES.get(
+            `collection:${collectionId}`,
+          );
+          if (!json) {
+            return Response.json(
+              { error: `Collection '${collectionId}' not found` },
+              { status: 404 },
+            );
+          }
+
+          const collection = JSON.parse(json);
+          const albums = await publicCollectionAlbums(env, collection);
+          return jsonResponse(
+            {
+              collection: await collectionCard(
+                env,
+                url,
+                collectionId,
+                collection,
+                albums,
+              ),
+              albums: await Promise.all(
+                albums.map(([albumId, album]) =>
+                  albumCard(env, url, albumId, album),
+                ),
+              ),
+            },
+            CACHE_CONTROL_PUBLIC,
+          );
+        });
+
+        return finalizeResponse(request, response, corsHeaders);
+      } catch (error) {
+        console.error(`Error fetching collection ${collectionId}:`, error);
+        return Response.json(
+          { error: `Failed to fetch collection: ${error.message}` },
+          { headers: corsHeaders, status: 500 },
         );
       }
+    }
+
+    const unlockMatch = url.pathname.match(/^\/album\/([^/]+)\/unlock$/);
+    if (unlockMatch && request.method === "POST") {
+      const albumId = unlockMatch[1];
+
+      try {
+        const metaJson = await env.DIGIFILM_GALLERIES.get(`album:${albumId}`);
+        const album = metaJson && JSON.parse(metaJson);
+        if (!album?.password) {
+          return (
+            (!album && (await albumRedirect(env, url, albumId, corsHeaders))) ||
+            Response.json(
+              { error: `Album '${albumId}' is not password protected` },
+              { headers: corsHeaders, status: 404 },
+            )
+          );
+        }
+
+        // The session cookie only reaches the site on credentialed requests,
+        // which browsers refuse unless the API echoes the site's origin.
+        if (!origin || !allowedOrigins.includes(origin)) {
+          console.error(
+            `Refusing to unlock album ${albumId} for ${origin || "a request without an Origin"}: add it to ALLOWED_ORIGINS`,
+          );
+          return Response.json(
+            { error: "This site isn't allowed to unlock albums" },
+            { headers: corsHeaders, status: 403 },
+          );
+        }
+
+        const { password } = (await request.json().catch(() => null)) ?? {};
+        if (typeof password !== "string" || !password) {
+          return Response.json(
+            { error: "Expected { password }" },
+            { headers: corsHeaders, status: 400 },
+          );
+        }
+
+        const attemptsKey = unlockAttemptsKey(request, albumId);
+        const attempts = await getUnlockAttempts(env, attemptsKey);
+        if (attempts.count >= UNLOCK_ATTEMPT_LIMIT) {
+          const retryAfter = attempts.until - Math.floor(Date.now() / 1000);
+          return Response.json(
+            { error: "Too many attempts. Please try again later." },
+            {
+              headers: { ...corsHeaders, "Retry-After": String(retryAfter) },
+              status: 429,
+            },
+          );
+        }
+
+        if (!(await verifyPassword(album.password, password))) {
+          await recordFailedUnlock(env, attemptsKey, attempts);
+          return Response.json(
+            { error: "Incorrect password" },
+            { headers: corsHeaders, status: 401 },
+          );
+        }
+        if (attempts.count > 0) {
+          await env.DIGIFILM_GALLERIES.delete(attemptsKey);
+        }
+
+        const expires = Math.floor(Date.now() / 1000) + SESSION_MAX_AGE;
+        const session = await signToken(
+          env.TOKEN_SECRET,
+          "session",
+          albumId,
+          expires,
+        );
+
+        return Response.json(
+          { ok: true },
+          {
+            headers: {
+              ...corsHeaders,
+              "Set-Cookie": `${sessionCookieName(albumId)}=${session}; Max-Age=${SESSION_MAX_AGE}; Path=/album/${albumId}; HttpOnly; Secure; SameSite=None`,
+            },
+          },
+        );
+      } catch (error) {
+        console.error(`Error unlocking album ${albumId}:`, error);
+        return Response.json(
+          { error: `Failed to unlock album: ${error.message}` },
+          { headers: corsHeaders, status: 500 },
+        );
+      }
+    }
+
+    const selectionsMatch = url.pathname.match(
+      /^\/album\/([^/]+)\/selections$/,
+    );
+    if (selectionsMatch && request.method === "POST") {
+      const albumId = selectionsMatch[1];
 
       try {
         const metaJson = await env.DIGIFILM_GALLERIES.get(`album:${albumId}`);
         if (!metaJson) {
+          return (
+            (await albumRedirect(env, url, albumId, corsHeaders)) ??
+            Response.json(
+              { error: `Album '${albumId}' not found` },
+              { headers: corsHeaders, status: 404 },
+            )
+          );
+        }
+
+        const album = JSON.parse(metaJson);
+        const accessError = await albumAccessError(
+          request,
+          env,
+          url,
+          albumId,
+          album,
+          corsHeaders,
+        );
+        if (accessError) return accessError;
+        if (!album.allow_selections) {
           return Response.json(
-            { error: `Album '${albumId}' not found` },
+            { error: "This album doesn't take selections" },
+            { headers: corsHeaders, status: 403 },
+          );
+        }
+
+        // Albums without a manifest can't be checked, but then only albums
+        // that show their filenames take selections.
+        const manifestJson = await env.DIGIFILM_GALLERIES.get(
+          `manifest:${albumId}`,
+        );
+        const originals = downloadsAllowed(album);
+        let filenames = originals ? null : new Map();
+        if (manifestJson) {
+          const { id } = await imageSources(env, url, originals);
+          filenames = new Map(
+            await Promise.all(
+              JSON.parse(manifestJson).images.map(async ({ key }) => [
+                await id(key),
+                filenameOf(key),
+              ]),
+            ),
+          );
+        }
+        const body = await request.json().catch(() => null);
+        const { selection, error } = parseSelection(body, filenames);
+        if (error) {
+          return Response.json(
+            { error },
+            { headers: corsHeaders, status: 400 },
+          );
+        }
+
+        await env.DIGIFILM_GALLERIES.put(
+          selectionKey(albumId, selection),
+          JSON.stringify({
+            ...selection,
+            submitted_at: new Date().toISOString(),
+          }),
+        );
+
+        return Response.json(
+          { ok: true, files: selection.files.length },
+          { headers: corsHeaders },
+        );
+      } catch (error) {
+        console.error(`Error saving selection for ${albumId}:`, error);
+        return Response.json(
+          { error: `Failed to save selection: ${error.message}` },
+          { headers: corsHeaders, status: 500 },
+        );
+      }
+    }
+
+    // A derivative of an image in an album without downloads, under the
+    // token its `/album/:id` response sealed the image's key in. Only
+    // derivatives can be reached this way, never the original. Covers'
+    // tokens don't expire, so they're only honoured while their album is
+    // still listed.
+    const imageMatch = url.pathname.match(
+      /^\/image\/([\w-]+)\/(\d+\.(?:avif|webp))$/,
+    );
+    if (imageMatch && request.method === "GET") {
+      const [, token, name] = imageMatch;
+
+      try {
+        const hit = await caches.default.match(request);
+        if (hit) return hit;
+
+        const payload =
+          env.TOKEN_SECRET &&
+          (await (await imageTokens(env.TOKEN_SECRET)).open(token));
+        const object =
+          payload &&
+          (payload.expires || (await isListedAlbum(env, payload.key))) &&
+          (await env.DIGIFILM_IMAGES.get(`_derived/${payload.key}/${name}`));
+        if (!object) {
+          return Response.json(
+            { error: "Image not found or its link has expired" },
             { headers: corsHeaders, status: 404 },
           );
         }
 
-        const album = JSON.parse(metaJson);
-        const { objects } = await env.DIGIFILM_IMAGES.list({
-          prefix: `${albumId}/`,
+        const maxAge = payload.expires
+          ? Math.floor(payload.expires - Date.now() / 1000)
+          : 86400;
+        const headers = new Headers({
+          "Access-Control-Allow-Origin": "*",
+          "Cache-Control": `public, max-age=${maxAge}`,
         });
+        object.writeHttpMetadata(headers);
+        const response = new Response(object.body, { headers });
+        ctx.waitUntil(caches.default.put(request, response.clone()));
+        return response;
+      } catch (error) {
+        console.error("Error serving image:", error);
+        return Response.json(
+          { error: `Failed to serve image: ${error.message}` },
+          { headers: corsHeaders, status: 500 },
+        );
+      }
+    }
 
-        const images = await Promise.all(
-          objects
-            .filter(
-              (obj) =>
-                obj.size > 0 && /\.(jpe?g|png|gif|webp|avif)$/i.test(obj.key),
+    // A single original, for the lightbox's download button.
+    const photoMatch = url.pathname.match(
+      /^\/album\/([^/]+)\/photo\/([^/]+)\/download$/,
+    );
+    if (photoMatch && request.method === "GET") {
+      const [, albumId, encodedFile] = photoMatch;
+
+      try {
+        const metaJson = await env.DIGIFILM_GALLERIES.get(`album:${albumId}`);
+        if (!metaJson) {
+          return (
+            (await albumRedirect(env, url, albumId, corsHeaders)) ??
+            Response.json(
+              { error: `Album '${albumId}' not found` },
+              { headers: corsHeaders, status: 404 },
             )
-            .map(async (obj) => {
-              const head = await env.DIGIFILM_IMAGES.head(obj.key).catch(
-                () => null,
-              );
-              const { width, height } = getDimensions(head, obj.key);
-              return {
-                src: `https://r2.digifilm.pics/${obj.key}`,
-                thumbnailSrc: `https://r2.digifilm.pics/cdn-cgi/image/quality=60/${obj.key}`,
-                width,
-                height,
-              };
-            }),
+          );
+        }
+
+        const album = JSON.parse(metaJson);
+        const accessError = await albumAccessError(
+          request,
+          env,
+          url,
+          albumId,
+          album,
+          corsHeaders,
         );
+        if (accessError) return accessError;
+        if (!downloadsAllowed(album)) {
+          return Response.json(
+            { error: "Downloads are disabled for this album" },
+            { headers: corsHeaders, status: 403 },
+          );
+        }
 
+        const file = decodePathSegment(encodedFile);
+        if (file === null) {
+          return Response.json(
+            { error: "Malformed photo name" },
+            { headers: corsHeaders, status: 400 },
+          );
+        }
+        const object = /\.(jpe?g|png|gif|webp|avif)$/i.test(file)
+          ? await env.DIGIFILM_IMAGES.get(`${albumId}/${file}`)
+          : null;
+        if (!object) {
+          return Response.json(
+            { error: `Photo '${file}' not found` },
+            { headers: corsHeaders, status: 404 },
+          );
+        }
+
+        const headers = new Headers(corsHeaders);
+        object.writeHttpMetadata(headers);
+        headers.set(
+          "Content-Disposition",
+          `attachment; filename*=UTF-8''${encodeURIComponent(file)}`,
+        );
+        headers.set("Cache-Control", "private, no-store");
+        return new Response(object.body, { headers });
+      } catch (error) {
+        console.error(`Error downloading photo from ${albumId}:`, error);
         return Response.json(
-          { album: { id: albumId, ...album }, images },
-          { headers: corsHeaders },
+          { error: `Failed to download photo: ${error.message}` },
+          { headers: corsHeaders, status: 500 },
+        );
+      }
+    }
+
+    // Streams the whole album as a ZIP of the original files, in album order.
+    const downloadMatch = url.pathname.match(/^\/album\/([^/]+)\/download$/);
+    if (downloadMatch && request.method === "GET") {
+      const albumId = downloadMatch[1];
+
+      try {
+        const metaJson = await env.DIGIFILM_GALLERIES.get(`album:${albumId}`);
+        if (!metaJson) {
+          return (
+            (await albumRedirect(env, url, albumId, corsHeaders)) ??
+            Response.json(
+              { error: `Album '${albumId}' not found` },
+              { headers: corsHeaders, status: 404 },
+            )
+          );
+        }
+
+        const album = JSON.parse(metaJson);
+        const accessError = await albumAccessError(
+          request,
+          env,
+          url,
+          albumId,
+          album,
+          corsHeaders,
+        );
+        if (accessError) return accessError;
+        if (!downloadsAllowed(album)) {
+          return Response.json(
+            { error: "Downloads are disabled for this album" },
+            { headers: corsHeaders, status: 403 },
+          );
+        }
+
+        const manifestJson = await env.DIGIFILM_GALLERIES.get(
+          `manifest:${albumId}`,
+        );
+        const { entries } = manifestJson
+          ? pageFromManifest(JSON.parse(manifestJson), album)
+          : await pageFromR2(env, albumId);
+        const zip = createZip(
+          entries.map((entry) => toZipEntry(env, albumId, entry)),
         );
+
+        // The archive's length is known up front, so browsers can show
+        // download progress.
+        const { readable, writable } = new FixedLengthStream(zip.length);
+        ctx.waitUntil(
+          zip.write(writable).catch((error) => {
+            console.error(`Error streaming album ${albumId}:`, error);
+          }),
+        );
+
+        return new Response(readable, {
+          headers: {
+            ...corsHeaders,
+            "Content-Type": "application/zip",
+            "Content-Disposition": `attachment; filename="${albumId}.zip"`,
+            "Cache-Control": "private, no-store",
+          },
+        });
+      } catch (error) {
+        console.error(`Error downloading album ${albumId}:`, error);
+        return Response.json(
+          { error: `Failed to download album: ${error.message}` },
+          { headers: corsHeaders, status: 500 },
+        );
+      }
+    }
+
+    if (url.pathname.startsWith("/album/")) {
+      const albumId = url.pathname.slice(7);
+      if (!albumId) {
+        return Response.json(
+          { error: "Album ID required" },
+          { headers: corsHeaders, status: 400 },
+        );
+      }
+
+      try {
+        const metaJson = await env.DIGIFILM_GALLERIES.get(`album:${albumId}`);
+        if (!metaJson) {
+          return (
+            (await albumRedirect(env, url, albumId, corsHeaders)) ??
+            Response.json(
+              { error: `Album '${albumId}' not found` },
+              { headers: corsHeaders, status: 404 },
+            )
+          );
+        }
+
+        const album = JSON.parse(metaJson);
+        const accessError = await albumAccessError(
+          request,
+          env,
+          url,
+          albumId,
+          album,
+          corsHeaders,
+        );
+        if (accessError) return accessError;
+
+        // Restricted albums depend on the caller's token or cookie, so they
+        // skip the shared cache and are only revalidated by ETag.
+        const restricted = album.private || album.password;
+        const build = async () => {
+          // With `?limit=` only one page is returned, along with a cursor for
+          // the next; otherwise every image is returned.
+          const limit = parseInt(url.searchParams.get("limit"), 10);
+          const pageCursor = url.searchParams.get("cursor");
+          const manifestJson = await env.DIGIFILM_GALLERIES.get(
+            `manifest:${albumId}`,
+          );
+          const { entries, cursor } = manifestJson
+            ? pageFromManifest(
+                JSON.parse(manifestJson),
+                album,
+                limit,
+                pageCursor,
+              )
+            : await pageFromR2(env, albumId, limit, pageCursor);
+          const images = await albumImages(env, url, album, entries);
+          // Albums without downloads are only shown from their derivatives.
+          // (imageSources reports a missing TOKEN_SECRET itself.)
+          if (!images) {
+            if (env.TOKEN_SECRET) {
+              console.error(
+                `Album ${albumId} has images without derivatives; run \`node main.js derivatives ${albumId}\``,
+              );
+            }
+            return Response.json(
+              { error: "This album's photos aren't ready to view yet" },
+              { status: 503 },
+            );
+          }
+
+          return jsonResponse(
+            {
+              album: { id: albumId, ...publicAlbumData(album) },
+              images,
+              cursor,
+            },
+            restricted ? CACHE_CONTROL_PRIVATE : CACHE_CONTROL_PUBLIC,
+          );
+        };
+
+        const response = restricted
+          ? await build()
+          : await cached(env, ctx, url, build);
+        return finalizeResponse(request, response, corsHeaders);
       } catch (error) {
         console.error(`Error fetching album ${albumId}:`, error);
         return Response.json(
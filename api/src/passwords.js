@@ -0,0 +1,62 @@
+import { base64Decode } from "./tokens.js";
+
+// Album passwords are stored as `{ salt, hash, iterations }` (base64
+// PBKDF2-SHA256), written by the uploader or the admin routes.
+
+const encoder = new TextEncoder();
+
+// Must match hashPassword in the uploader.
+const PASSWORD_ITERATIONS = 100000;
+
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"],
+  );
+  const hash = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations: PASSWORD_ITERATIONS },
+    key,
+    256,
+  );
+  const base64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+  return {
+    salt: base64(salt),
+    hash: base64(hash),
+    iterations: PASSWORD_ITERATIONS,
+  };
+}
+
+export async function verifyPassword(stored, password) {
+  if (!stored?.salt || !stored?.hash || typeof password !== "string") {
+    return false;
+  }
+
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"],
+  );
+  const expected = base64Decode(stored.hash);
+  const derived = new Uint8Array(
+    await crypto.subtle.deriveBits(
+      {
+        name: "PBKDF2",
+        hash: "SHA-256",
+        salt: base64Decode(stored.salt),
+        iterations: stored.iterations,
+      },
+      key,
+      expected.length * 8,
+    ),
+  );
+
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) diff |= expected[i] ^ derived[i];
+  return diff === 0;
+}
@@ -0,0 +1,107 @@
+// Presigns S3 requests with AWS Signature Version 4 query parameters, so a
+// browser can PUT straight to the bucket without holding any credentials.
+// R2 speaks the S3 API at `<account>.r2.cloudflarestorage.com`, always in
+// region "auto"; other S3-compatible endpoints (e.g. MinIO) are addressed
+// path-style in whatever region they're set up for.
+
+const encoder = new TextEncoder();
+
+const toHex = (bytes) =>
+  [...new Uint8Array(bytes)]
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+
+const sha256Hex = async (text) =>
+  toHex(await crypto.subtle.digest("SHA-256", encoder.encode(text)));
+
+async function hmac(key, text) {
+  const cryptoKey = await crypto.subtle.importKey(
+    "raw",
+    typeof key === "string" ? encoder.encode(key) : key,
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"],
+  );
+  return crypto.subtle.sign("HMAC", cryptoKey, encoder.encode(text));
+}
+
+// RFC 3986 encoding, which SigV4 requires and encodeURIComponent falls just
+// short of.
+const uriEncode = (value) =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+
+export const r2Endpoint = (accountId) =>
+  `https://${accountId}.r2.cloudflarestorage.com`;
+
+// Resolves to a URL that allows `method` on `key` (or, without one, on the
+// bucket) for `expiresIn` seconds. Any `headers` are signed too, so the
+// request must send them unchanged; that's how uploads are pinned to a
+// content type and metadata. `query` adds parameters, as bucket listings
+// need.
+export async function presignUrl({
+  endpoint,
+  region = "auto",
+  accessKeyId,
+  secretAccessKey,
+  bucket,
+  key,
+  method = "PUT",
+  headers = {},
+  query: params = {},
+  expiresIn = 3600,
+  now = new Date(),
+}) {
+  const { protocol, host } = new URL(endpoint);
+  const amzDate = now.toISOString().replace(/[-:]|\.\d{3}/g, "");
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${region}/s3/aws4_request`;
+
+  const signedHeaders = Object.fromEntries(
+    Object.entries({ ...headers, host })
+      .map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+      .sort(([a], [b]) => (a < b ? -1 : 1)),
+  );
+  const signedHeaderNames = Object.keys(signedHeaders).join(";");
+
+  const query = Object.entries({
+    "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+    "X-Amz-Credential": `${accessKeyId}/${scope}`,
+    "X-Amz-Date": amzDate,
+    "X-Amz-Expires": String(expiresIn),
+    "X-Amz-SignedHeaders": signedHeaderNames,
+    ...params,
+  })
+    .map(([name, value]) => `${uriEncode(name)}=${uriEncode(value)}`)
+    .sort()
+    .join("&");
+  const path = key
+    ? `/${bucket}/${key.split("/").map(uriEncode).join("/")}`
+    : `/${bucket}`;
+
+  const canonicalRequest = [
+    method,
+    path,
+    query,
+    ...Object.entries(signedHeaders).map(([name, value]) => `${name}:${value}`),
+    "",
+    signedHeaderNames,
+    "UNSIGNED-PAYLOAD",
+  ].join("\n");
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    await sha256Hex(canonicalRequest),
+  ].join("\n");
+
+  let signingKey = `AWS4${secretAccessKey}`;
+  for (const part of [date, region, "s3", "aws4_request"]) {
+    signingKey = await hmac(signingKey, part);
+  }
+  const signature = toHex(await hmac(signingKey, stringToSign));
+
+  return `${protocol}//${host}${path}?${query}&X-Amz-Signature=${signature}`;
+}
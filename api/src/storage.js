@@ -0,0 +1,173 @@
+import { presignUrl, r2Endpoint } from "./presign.js";
+
+// The worker reads images through the DIGIFILM_IMAGES binding and metadata
+// through DIGIFILM_GALLERIES. With STORAGE_BACKEND "s3", DIGIFILM_IMAGES is
+// replaced by an S3-compatible bucket (e.g. MinIO) that answers the parts of
+// R2's binding API the worker uses. The uploader then keeps metadata in
+// METADATA_FILE rather than KV, so that backend only runs under the dev
+// server (dev-server.js), which reads the file. The dev server can also swap
+// in a local directory for the bucket.
+
+export const DEFAULT_IMAGE_BASE_URL = "https://r2.digifilm.pics";
+
+// Where browsers load images from: the bucket's public URL.
+export const imageBaseUrl = (env) =>
+  (env.IMAGE_BASE_URL || DEFAULT_IMAGE_BASE_URL).replace(/\/+$/, "");
+
+// The endpoint and credentials for signing requests to the bucket, or null
+// if they aren't configured.
+export function s3Credentials(env) {
+  if (env.STORAGE_BACKEND === "s3") {
+    if (
+      !env.S3_ENDPOINT ||
+      !env.S3_ACCESS_KEY_ID ||
+      !env.S3_SECRET_ACCESS_KEY ||
+      !env.S3_BUCKET_NAME
+    ) {
+      return null;
+    }
+    return {
+      endpoint: env.S3_ENDPOINT,
+      region: env.S3_REGION || "us-east-1",
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      bucket: env.S3_BUCKET_NAME,
+    };
+  }
+  if (
+    !env.R2_ACCOUNT_ID ||
+    !env.R2_ACCESS_KEY_ID ||
+    !env.R2_SECRET_ACCESS_KEY
+  ) {
+    return null;
+  }
+  return {
+    endpoint: r2Endpoint(env.R2_ACCOUNT_ID),
+    accessKeyId: env.R2_ACCESS_KEY_ID,
+    secretAccessKey: env.R2_SECRET_ACCESS_KEY,
+    bucket: env.R2_BUCKET_NAME,
+  };
+}
+
+// The raw contents of each `<tag>` element, for picking apart further.
+const xmlElements = (xml, tag) =>
+  [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "g"))].map(
+    ([, value]) => value,
+  );
+
+// The text of each `<tag>` element, with its entities decoded.
+const xmlValues = (xml, tag) =>
+  xmlElements(xml, tag).map((value) =>
+    value
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(code))
+      .replace(/&amp;/g, "&"),
+  );
+
+// Describes an object from its response headers the way R2's binding does,
+// with custom metadata from its `x-amz-meta-*` headers.
+function objectFromHeaders(key, headers) {
+  const customMetadata = {};
+  for (const [name, value] of headers) {
+    if (name.startsWith("x-amz-meta-")) {
+      customMetadata[name.slice("x-amz-meta-".length)] = value;
+    }
+  }
+  const contentType = headers.get("Content-Type");
+  return {
+    key,
+    size: Number(headers.get("Content-Length")),
+    etag: headers.get("ETag")?.replace(/"/g, ""),
+    uploaded: new Date(headers.get("Last-Modified")),
+    customMetadata,
+    httpMetadata: { contentType },
+    writeHttpMetadata(target) {
+      if (contentType) target.set("Content-Type", contentType);
+    },
+  };
+}
+
+// The subset of R2's binding API (`get`, `head`, `list` and `delete`) the
+// worker uses, over signed requests to an S3-compatible endpoint.
+export function s3Bucket(credentials) {
+  const send = async (method, key, query) => {
+    const url = await presignUrl({
+      ...credentials,
+      method,
+      key,
+      query,
+      expiresIn: 60,
+    });
+    const response = await fetch(url, { method });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(
+        `S3 ${method} ${key ?? "(list)"}: HTTP ${response.status}`,
+      );
+    }
+    return response;
+  };
+
+  return {
+    async head(key) {
+      const response = await send("HEAD", key);
+      return response && objectFromHeaders(key, response.headers);
+    },
+    async get(key) {
+      const response = await send("GET", key);
+      return (
+        response && {
+          ...objectFromHeaders(key, response.headers),
+          body: response.body,
+        }
+      );
+    },
+    async list({ prefix = "", cursor, limit } = {}) {
+      const response = await send("GET", undefined, {
+        "list-type": "2",
+        prefix,
+        ...(cursor && { "continuation-token": cursor }),
+        ...(limit && { "max-keys": String(limit) }),
+      });
+      const xml = response ? await response.text() : "";
+      const objects = xmlElements(xml, "Contents").map((contents) => ({
+        key: xmlValues(contents, "Key")[0],
+        size: Number(xmlValues(contents, "Size")[0]),
+        uploaded: new Date(xmlValues(contents, "LastModified")[0]),
+      }));
+      const truncated = xmlValues(xml, "IsTruncated")[0] === "true";
+      return {
+        objects,
+        truncated,
+        cursor: truncated
+          ? xmlValues(xml, "NextContinuationToken")[0]
+          : undefined,
+      };
+    },
+    async delete(keys) {
+      for (const key of [keys].flat()) await send("DELETE", key);
+    },
+  };
+}
+
+// `env` with its storage bindings swapped for STORAGE_BACKEND's.
+export function withStorage(env) {
+  if (env.STORAGE_BACKEND !== "s3") return env;
+  // A deployed worker would read KV, which the uploader doesn't write to
+  // with this backend.
+  if (!env.METADATA_FILE) {
+    throw new Error(
+      "STORAGE_BACKEND is s3, which keeps metadata in METADATA_FILE; run it with dev-server.js, or deploy with r2",
+    );
+  }
+  const credentials = s3Credentials(env);
+  if (!credentials) {
+    throw new Error(
+      "STORAGE_BACKEND is s3 but S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY or S3_BUCKET_NAME is missing",
+    );
+  }
+  return { ...env, DIGIFILM_IMAGES: s3Bucket(credentials) };
+}
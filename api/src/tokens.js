@@ -0,0 +1,119 @@
+// Everything signed or sealed with TOKEN_SECRET: share and session tokens,
+// and the tokens image URLs of albums without downloads are served under.
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export const base64Decode = (str) =>
+  Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+
+const base64UrlDecode = (str) => {
+  const base64 = str.replace(/-/g, "+").replace(/_/g, "/");
+  return base64Decode(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="));
+};
+
+const base64UrlEncode = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const importHmacKey = (secret, usage) =>
+  crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    [usage],
+  );
+
+// Tokens are `<expiry>.<signature>`, where the signature is an HMAC-SHA256
+// over `<purpose>:<albumId>:<expiry>`. The uploader signs share tokens the
+// same way; session tokens are only ever signed here.
+export async function signToken(secret, purpose, albumId, expires) {
+  const key = await importHmacKey(secret, "sign");
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    encoder.encode(`${purpose}:${albumId}:${expires}`),
+  );
+  return `${expires}.${base64UrlEncode(signature)}`;
+}
+
+export async function verifyToken(secret, purpose, albumId, token) {
+  if (!secret || !token) return false;
+
+  const [expiresStr, signature] = token.split(".");
+  const expires = parseInt(expiresStr, 10);
+  if (!signature || !(expires > Date.now() / 1000)) return false;
+
+  try {
+    const key = await importHmacKey(secret, "verify");
+    return await crypto.subtle.verify(
+      "HMAC",
+      key,
+      base64UrlDecode(signature),
+      encoder.encode(`${purpose}:${albumId}:${expires}`),
+    );
+  } catch {
+    return false;
+  }
+}
+
+// Image tokens seal `{ key, version, expires }` with AES-GCM, so the URL
+// doesn't give the image's key away. The IV is an HMAC of the payload rather
+// than random, so the same payload always seals to the same token and its
+// URL stays cacheable. `id(key)` is a stable opaque ID for an image, for
+// selections to refer to it by.
+export async function imageTokens(secret) {
+  const hmacKey = await importHmacKey(secret, "sign");
+  const hmac = (text) =>
+    crypto.subtle.sign("HMAC", hmacKey, encoder.encode(text));
+  const aesKey = await crypto.subtle.importKey(
+    "raw",
+    await hmac("image-token-key"),
+    "AES-GCM",
+    false,
+    ["encrypt", "decrypt"],
+  );
+
+  return {
+    async id(key) {
+      return base64UrlEncode((await hmac(`image-id:${key}`)).slice(0, 12));
+    },
+
+    async seal(payload) {
+      const plaintext = JSON.stringify(payload);
+      const iv = (await hmac(`image-iv:${plaintext}`)).slice(0, 12);
+      const ciphertext = await crypto.subtle.encrypt(
+        { name: "AES-GCM", iv },
+        aesKey,
+        encoder.encode(plaintext),
+      );
+      const token = new Uint8Array(12 + ciphertext.byteLength);
+      token.set(new Uint8Array(iv));
+      token.set(new Uint8Array(ciphertext), 12);
+      return base64UrlEncode(token);
+    },
+
+    // Resolves to the payload, or null if the token is invalid or expired.
+    // Payloads sealed without `expires` never expire.
+    async open(token) {
+      try {
+        const bytes = base64UrlDecode(token);
+        const plaintext = await crypto.subtle.decrypt(
+          { name: "AES-GCM", iv: bytes.slice(0, 12) },
+          aesKey,
+          bytes.slice(12),
+        );
+        const payload = JSON.parse(decoder.decode(plaintext));
+        return payload.expires === undefined ||
+          payload.expires > Date.now() / 1000
+          ? payload
+          : null;
+      } catch {
+        return null;
+      }
+    },
+  };
+}
@@ -0,0 +1,260 @@
+// Streams an uncompressed (store mode) ZIP archive. Photos don't compress,
+// so storing them keeps the worker to copying bytes from R2.
+//
+// Each entry is `{ name, size, modified, crc32, open }`, where `open()`
+// resolves to the file's ReadableStream. Entries with a known CRC-32 get it
+// in their local header; the rest have it computed while streaming and
+// written to a data descriptor after their data. Archives past ZIP's 4 GiB
+// or 65,535-entry limits switch to ZIP64 records.
+
+const UINT32_MAX = 0xffffffff;
+const UINT16_MAX = 0xffff;
+
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+
+const encoder = new TextEncoder();
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function updateCrc32(crc, bytes) {
+  let c = crc ^ UINT32_MAX;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ UINT32_MAX) >>> 0;
+}
+
+// MS-DOS timestamps have two-second resolution and start in 1980.
+function dosDateTime(date) {
+  const d = date instanceof Date && !isNaN(date) ? date : new Date();
+  const year = Math.max(d.getUTCFullYear(), 1980);
+  return {
+    time:
+      (d.getUTCHours() << 11) |
+      (d.getUTCMinutes() << 5) |
+      (d.getUTCSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate(),
+  };
+}
+
+// Little-endian record builder.
+function record(length) {
+  const bytes = new Uint8Array(length);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  return {
+    bytes,
+    u16(value) {
+      view.setUint16(offset, value, true);
+      offset += 2;
+      return this;
+    },
+    u32(value) {
+      view.setUint32(offset, value, true);
+      offset += 4;
+      return this;
+    },
+    u64(value) {
+      view.setBigUint64(offset, BigInt(value), true);
+      offset += 8;
+      return this;
+    },
+    raw(value) {
+      bytes.set(value, offset);
+      offset += value.length;
+      return this;
+    },
+  };
+}
+
+const needsZip64 = (entry) => entry.size >= UINT32_MAX;
+
+// Precomputes every header so the archive's exact length is known before the
+// first byte is sent.
+function layout(entries) {
+  let offset = 0;
+  const files = entries.map((entry) => {
+    const name = encoder.encode(entry.name);
+    const zip64 = needsZip64(entry);
+    const streamed = entry.crc32 === undefined;
+    const file = {
+      ...entry,
+      filename: entry.name,
+      name,
+      zip64,
+      streamed,
+      offset,
+      ...dosDateTime(entry.modified),
+      flags: FLAG_UTF8 | (streamed ? FLAG_DATA_DESCRIPTOR : 0),
+    };
+    offset +=
+      30 +
+      name.length +
+      (zip64 ? 20 : 0) +
+      entry.size +
+      (streamed ? (zip64 ? 24 : 16) : 0);
+    return file;
+  });
+
+  const centralStart = offset;
+  for (const file of files) {
+    offset += 46 + file.name.length + centralExtraLength(file);
+  }
+  const centralSize = offset - centralStart;
+  const zip64End =
+    files.length >= UINT16_MAX ||
+    centralStart >= UINT32_MAX ||
+    centralSize >= UINT32_MAX;
+
+  return {
+    files,
+    centralStart,
+    centralSize,
+    zip64End,
+    length: offset + (zip64End ? 56 + 20 : 0) + 22,
+  };
+}
+
+function centralExtraLength(file) {
+  const fields = (file.zip64 ? 2 : 0) + (file.offset >= UINT32_MAX ? 1 : 0);
+  return fields ? 4 + fields * 8 : 0;
+}
+
+function localHeader(file) {
+  const header = record(30 + file.name.length + (file.zip64 ? 20 : 0))
+    .u32(0x04034b50)
+    .u16(file.zip64 ? 45 : 20)
+    .u16(file.flags)
+    .u16(0) // stored
+    .u16(file.time)
+    .u16(file.date)
+    .u32(file.streamed ? 0 : file.crc32)
+    .u32(file.zip64 ? UINT32_MAX : file.streamed ? 0 : file.size)
+    .u32(file.zip64 ? UINT32_MAX : file.streamed ? 0 : file.size)
+    .u16(file.name.length)
+    .u16(file.zip64 ? 20 : 0)
+    .raw(file.name);
+  if (file.zip64) header.u16(0x0001).u16(16).u64(file.size).u64(file.size);
+  return header.bytes;
+}
+
+function dataDescriptor(file, crc32) {
+  const descriptor = record(file.zip64 ? 24 : 16)
+    .u32(0x08074b50)
+    .u32(crc32);
+  return file.zip64
+    ? descriptor.u64(file.size).u64(file.size).bytes
+    : descriptor.u32(file.size).u32(file.size).bytes;
+}
+
+function centralHeader(file, crc32) {
+  const extraLength = centralExtraLength(file);
+  const header = record(46 + file.name.length + extraLength)
+    .u32(0x02014b50)
+    .u16(45)
+    .u16(file.zip64 ? 45 : 20)
+    .u16(file.flags)
+    .u16(0)
+    .u16(file.time)
+    .u16(file.date)
+    .u32(crc32)
+    .u32(file.zip64 ? UINT32_MAX : file.size)
+    .u32(file.zip64 ? UINT32_MAX : file.size)
+    .u16(file.name.length)
+    .u16(extraLength)
+    .u16(0) // comment length
+    .u16(0) // disk number
+    .u16(0) // internal attributes
+    .u32(0) // external attributes
+    .u32(Math.min(file.offset, UINT32_MAX))
+    .raw(file.name);
+  if (extraLength) {
+    header.u16(0x0001).u16(extraLength - 4);
+    if (file.zip64) header.u64(file.size).u64(file.size);
+    if (file.offset >= UINT32_MAX) header.u64(file.offset);
+  }
+  return header.bytes;
+}
+
+function endRecords({ files, centralStart, centralSize, zip64End }) {
+  const end = record((zip64End ? 56 + 20 : 0) + 22);
+  if (zip64End) {
+    const zip64EndOffset = centralStart + centralSize;
+    end
+      .u32(0x06064b50)
+      .u64(44) // size of the rest of this record
+      .u16(45)
+      .u16(45)
+      .u32(0)
+      .u32(0)
+      .u64(files.length)
+      .u64(files.length)
+      .u64(centralSize)
+      .u64(centralStart)
+      .u32(0x07064b50)
+      .u32(0)
+      .u64(zip64EndOffset)
+      .u32(1);
+  }
+  end
+    .u32(0x06054b50)
+    .u16(0)
+    .u16(0)
+    .u16(Math.min(files.length, UINT16_MAX))
+    .u16(Math.min(files.length, UINT16_MAX))
+    .u32(Math.min(centralSize, UINT32_MAX))
+    .u32(Math.min(centralStart, UINT32_MAX))
+    .u16(0);
+  return end.bytes;
+}
+
+// Returns the archive's length and a function that writes it to `writable`.
+// Every entry must be exactly `size` bytes, or the archive is aborted.
+export function createZip(entries) {
+  const archive = layout(entries);
+
+  async function write(writable) {
+    const writer = writable.getWriter();
+    try {
+      const crcs = [];
+      for (const file of archive.files) {
+        await writer.write(localHeader(file));
+
+        const reader = (await file.open()).getReader();
+        let crc = 0;
+        let written = 0;
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          if (file.streamed) crc = updateCrc32(crc, value);
+          written += value.length;
+          await writer.write(value);
+        }
+        if (written !== file.size) {
+          throw new Error(
+            `${file.filename} was ${written} bytes, expected ${file.size}`,
+          );
+        }
+
+        crcs.push(file.streamed ? crc : file.crc32);
+        if (file.streamed) await writer.write(dataDescriptor(file, crc));
+      }
+
+      for (const [i, file] of archive.files.entries()) {
+        await writer.write(centralHeader(file, crcs[i]));
+      }
+      await writer.write(endRecords(archive));
+      await writer.close();
+    } catch (error) {
+      await writer.abort(error);
+      throw error;
+    }
+  }
+
+  return { length: archive.length, write };
+}
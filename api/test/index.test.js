@@ -0,0 +1,164 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import worker from "../src/index.js";
+import { hashPassword } from "../src/passwords.js";
+
+// Nothing is cached between requests.
+globalThis.caches = {
+  default: { match: async () => undefined, put: async () => {} },
+};
+
+// In-memory stand-ins for the KV and R2 bindings, covering what the worker
+// uses of them.
+function memoryKv(records = {}) {
+  const data = new Map(
+    Object.entries(records).map(([key, value]) => [
+      key,
+      typeof value === "string" ? value : JSON.stringify(value),
+    ]),
+  );
+  return {
+    data,
+    get: async (key) => data.get(key) ?? null,
+    put: async (key, value) => void data.set(key, value),
+    delete: async (key) => void data.delete(key),
+    list: async ({ prefix = "" } = {}) => ({
+      keys: [...data.keys()]
+        .filter((key) => key.startsWith(prefix))
+        .sort()
+        .map((name) => ({ name })),
+      list_complete: true,
+    }),
+  };
+}
+
+function memoryBucket(keys = []) {
+  const objects = new Map(keys.map((key) => [key, new Uint8Array([1])]));
+  return {
+    objects,
+    list: async ({ prefix = "" } = {}) => ({
+      objects: [...objects.keys()]
+        .filter((key) => key.startsWith(prefix))
+        .sort()
+        .map((key) => ({ key, size: 1, uploaded: new Date(0) })),
+      truncated: false,
+    }),
+    head: async (key) =>
+      objects.has(key)
+        ? { key, size: 1, uploaded: new Date(0), customMetadata: {} }
+        : null,
+    get: async (key) =>
+      objects.has(key)
+        ? {
+            key,
+            size: 1,
+            body: new Blob([objects.get(key)]).stream(),
+            writeHttpMetadata() {},
+          }
+        : null,
+    delete: async (keys) => [keys].flat().forEach((key) => objects.delete(key)),
+  };
+}
+
+const ORIGIN = "https://site.example";
+
+function fetchWorker(env, path, init = {}) {
+  return worker.fetch(
+    new Request(`https://api.example${path}`, init),
+    {
+      ALLOWED_ORIGINS: ORIGIN,
+      TOKEN_SECRET: "test-secret",
+      ADMIN_TOKEN: "admin-token",
+      DIGIFILM_GALLERIES: memoryKv(),
+      DIGIFILM_IMAGES: memoryBucket(),
+      ...env,
+    },
+    { waitUntil() {}, passThroughOnException() {} },
+  );
+}
+
+test("unlock answers a missing password with a 400", async () => {
+  const kv = memoryKv({
+    "album:trip": { title: "Trip", password: await hashPassword("hunter2") },
+  });
+  for (const body of ["null", "{}", '{"password":""}', "not json"]) {
+    const response = await fetchWorker(
+      { DIGIFILM_GALLERIES: kv },
+      "/album/trip/unlock",
+      { method: "POST", headers: { Origin: ORIGIN }, body },
+    );
+    assert.equal(response.status, 400, body);
+  }
+  assert.deepEqual(await kv.list({ prefix: "unlock-attempts:" }), {
+    keys: [],
+    list_complete: true,
+  });
+});
+
+test("photo downloads answer a malformed file name with a 400", async () => {
+  const response = await fetchWorker(
+    {
+      DIGIFILM_GALLERIES: memoryKv({
+        "album:trip": { title: "Trip", allow_downloads: true },
+      }),
+    },
+    "/album/trip/photo/%E0%A4%A.jpg/download",
+  );
+  assert.equal(response.status, 400);
+});
+
+test("covers of albums without downloads get URLs that don't expire", async (t) => {
+  const kv = memoryKv({
+    "album:trip": {
+      title: "Trip",
+      cover_key: "trip/a.jpg",
+      cover_image: {
+        derivatives: { widths: [400, 800], formats: ["webp"], version: "v1" },
+      },
+    },
+  });
+  const env = {
+    DIGIFILM_GALLERIES: kv,
+    DIGIFILM_IMAGES: memoryBucket(["_derived/trip/a.jpg/800.webp"]),
+  };
+  const coverImage = async () =>
+    (await (await fetchWorker(env, "/albums")).json()).albums[0].coverImage;
+
+  const now = Date.now();
+  const built = await coverImage();
+  assert.match(built, /^https:\/\/api\.example\/image\/[\w-]+\/800\.webp$/);
+
+  // A month after the site was built, its pages still have the same URL.
+  t.mock.method(Date, "now", () => now + 30 * 86400000);
+  assert.equal(await coverImage(), built);
+  const response = await fetchWorker(env, new URL(built).pathname);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("Cache-Control"), "public, max-age=86400");
+
+  // Until the album is made private.
+  await kv.put("album:trip", JSON.stringify({ title: "Trip", private: true }));
+  const hidden = await fetchWorker(env, new URL(built).pathname);
+  assert.equal(hidden.status, 404);
+});
+
+test("deleting an album removes the redirects to it", async () => {
+  const kv = memoryKv({
+    "album:trip": { title: "Trip" },
+    "album:other": { title: "Other" },
+    "redirect:old-trip": { album: "trip" },
+    "redirect:old-other": { album: "other" },
+  });
+  const response = await fetchWorker(
+    {
+      DIGIFILM_GALLERIES: kv,
+      DIGIFILM_IMAGES: memoryBucket(["trip/a.jpg"]),
+    },
+    "/admin/album/trip",
+    { method: "DELETE", headers: { Authorization: "Bearer admin-token" } },
+  );
+  assert.equal(response.status, 200);
+  assert.equal(await kv.get("redirect:old-trip"), null);
+  assert.deepEqual(JSON.parse(await kv.get("redirect:old-other")), {
+    album: "other",
+  });
+});
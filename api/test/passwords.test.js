@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { test } from "node:test";
+import { hashPassword, verifyPassword } from "../src/passwords.js";
+
+// Hashes a password the way the uploader does, with fewer iterations.
+function hash(password) {
+  const salt = crypto.randomBytes(16);
+  return {
+    salt: salt.toString("base64"),
+    hash: crypto
+      .pbkdf2Sync(password, salt, 1000, 32, "sha256")
+      .toString("base64"),
+    iterations: 1000,
+  };
+}
+
+test("verifies the passwords it hashes", async () => {
+  const stored = await hashPassword("hunter2");
+  assert.equal(stored.iterations, 100000);
+  assert.equal(await verifyPassword(stored, "hunter2"), true);
+  assert.equal(await verifyPassword(stored, "hunter3"), false);
+});
+
+test("salts each hash", async () => {
+  const [a, b] = await Promise.all([
+    hashPassword("hunter2"),
+    hashPassword("hunter2"),
+  ]);
+  assert.notEqual(a.salt, b.salt);
+  assert.notEqual(a.hash, b.hash);
+});
+
+test("verifies passwords hashed the uploader's way", async () => {
+  const stored = hash("hunter2");
+  assert.equal(await verifyPassword(stored, "hunter2"), true);
+  assert.equal(await verifyPassword(stored, "Hunter2"), false);
+});
+
+test("rejects incomplete records and non-string passwords", async () => {
+  const stored = hash("hunter2");
+  assert.equal(await verifyPassword(null, "hunter2"), false);
+  assert.equal(await verifyPassword({ ...stored, salt: "" }, "hunter2"), false);
+  assert.equal(await verifyPassword({ ...stored, hash: "" }, "hunter2"), false);
+  assert.equal(await verifyPassword(stored, undefined), false);
+  assert.equal(await verifyPassword(stored, ["hunter2"]), false);
+});
@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { presignUrl } from "../src/presign.js";
+
+// The expected signatures come from the AWS SDK's SigV4 signer, given the
+// same request.
+
+const credentials = {
+  accessKeyId: "AKIDEXAMPLE",
+  secretAccessKey: "wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY",
+};
+const now = new Date("2024-05-01T12:00:00Z");
+
+test("presigns an upload to R2 with its headers signed", async () => {
+  const url = new URL(
+    await presignUrl({
+      ...credentials,
+      endpoint: "https://acct.r2.cloudflarestorage.com",
+      bucket: "photos",
+      key: "trip 2024/a+b.jpg",
+      headers: { "Content-Type": "image/jpeg", "x-amz-meta-width": 1200 },
+      now,
+    }),
+  );
+
+  assert.equal(url.host, "acct.r2.cloudflarestorage.com");
+  assert.equal(url.pathname, "/photos/trip%202024/a%2Bb.jpg");
+  assert.equal(
+    url.searchParams.get("X-Amz-Credential"),
+    "AKIDEXAMPLE/20240501/auto/s3/aws4_request",
+  );
+  assert.equal(url.searchParams.get("X-Amz-Expires"), "3600");
+  assert.equal(
+    url.searchParams.get("X-Amz-SignedHeaders"),
+    "content-type;host;x-amz-meta-width",
+  );
+  assert.equal(
+    url.searchParams.get("X-Amz-Signature"),
+    "230753783a59cd2a83869a5d3cc38b71ae7e3787144b60dab8c9bc29a5ec4bdf",
+  );
+});
+
+test("presigns a bucket listing with its query parameters", async () => {
+  const url = new URL(
+    await presignUrl({
+      ...credentials,
+      endpoint: "http://localhost:9000",
+      region: "us-east-1",
+      bucket: "photos",
+      method: "GET",
+      query: { "list-type": "2", prefix: "trip 2024/" },
+      expiresIn: 600,
+      now,
+    }),
+  );
+
+  assert.equal(url.pathname, "/photos");
+  assert.equal(url.searchParams.get("prefix"), "trip 2024/");
+  assert.equal(url.searchParams.get("X-Amz-SignedHeaders"), "host");
+  assert.equal(
+    url.searchParams.get("X-Amz-Signature"),
+    "6f33e8de2eeed6dfaddde10f2fbbc81a08018986e86d1872b66d400eecd26ee8",
+  );
+});
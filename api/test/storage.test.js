@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { s3Bucket, withStorage } from "../src/storage.js";
+
+const credentials = {
+  endpoint: "https://s3.example",
+  region: "us-east-1",
+  accessKeyId: "AKIDEXAMPLE",
+  secretAccessKey: "secret",
+  bucket: "photos",
+};
+
+test("lists an S3 bucket, decoding each key once", async (t) => {
+  t.mock.method(
+    globalThis,
+    "fetch",
+    async () =>
+      new Response(
+        `<?xml version="1.0" encoding="UTF-8"?>
+<ListBucketResult>
+  <IsTruncated>true</IsTruncated>
+  <Contents>
+    <Key>trip/fish &amp;amp; chips &lt;1&gt;.jpg</Key>
+    <Size>1200</Size>
+    <LastModified>2024-05-01T12:00:00.000Z</LastModified>
+  </Contents>
+  <NextContinuationToken>a&amp;b</NextContinuationToken>
+</ListBucketResult>`,
+      ),
+  );
+
+  const { objects, truncated, cursor } = await s3Bucket(credentials).list({
+    prefix: "trip/",
+  });
+  assert.deepEqual(objects, [
+    {
+      key: "trip/fish &amp; chips <1>.jpg",
+      size: 1200,
+      uploaded: new Date("2024-05-01T12:00:00.000Z"),
+    },
+  ]);
+  assert.equal(truncated, true);
+  assert.equal(cursor, "a&b");
+});
+
+test("refuses the s3 backend without a metadata file", () => {
+  const env = {
+    STORAGE_BACKEND: "s3",
+    S3_ENDPOINT: credentials.endpoint,
+    S3_ACCESS_KEY_ID: credentials.accessKeyId,
+    S3_SECRET_ACCESS_KEY: credentials.secretAccessKey,
+    S3_BUCKET_NAME: credentials.bucket,
+  };
+  assert.throws(() => withStorage(env), /METADATA_FILE/);
+  assert.equal(
+    typeof withStorage({ ...env, METADATA_FILE: "metadata.json" })
+      .DIGIFILM_IMAGES.list,
+    "function",
+  );
+});
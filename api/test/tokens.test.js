@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { test } from "node:test";
+import { imageTokens, signToken, verifyToken } from "../src/tokens.js";
+
+const secret = "test-secret";
+const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+// Signs a token the way the uploader does.
+const sign = (purpose, albumId, expires) =>
+  `${expires}.${crypto
+    .createHmac("sha256", secret)
+    .update(`${purpose}:${albumId}:${expires}`)
+    .digest("base64url")}`;
+
+test("verifies the tokens it signs", async () => {
+  const token = await signToken(secret, "session", "trip", inAnHour());
+  assert.equal(token, sign("session", "trip", token.split(".")[0]));
+  assert.equal(await verifyToken(secret, "session", "trip", token), true);
+});
+
+test("verifies share tokens signed the uploader's way", async () => {
+  const token = sign("share", "trip", inAnHour());
+  assert.equal(await verifyToken(secret, "share", "trip", token), true);
+});
+
+test("rejects tokens for another purpose, album or secret", async () => {
+  const token = sign("share", "trip", inAnHour());
+  assert.equal(await verifyToken(secret, "session", "trip", token), false);
+  assert.equal(await verifyToken(secret, "share", "other", token), false);
+  assert.equal(await verifyToken("other", "share", "trip", token), false);
+  assert.equal(await verifyToken(undefined, "share", "trip", token), false);
+});
+
+test("rejects expired, altered and malformed tokens", async () => {
+  const expired = sign("share", "trip", 1000);
+  assert.equal(await verifyToken(secret, "share", "trip", expired), false);
+
+  const token = sign("share", "trip", inAnHour());
+  const [expires, signature] = token.split(".");
+  assert.equal(
+    await verifyToken(
+      secret,
+      "share",
+      "trip",
+      `${Number(expires) + 1}.${signature}`,
+    ),
+    false,
+  );
+  for (const bad of [null, "", "abc", `${expires}.`, `${expires}.!!!`]) {
+    assert.equal(await verifyToken(secret, "share", "trip", bad), false);
+  }
+});
+
+test("seals image keys so they can only be opened with the secret", async () => {
+  const tokens = await imageTokens(secret);
+  const payload = {
+    key: "trip/DSC_0001.jpg",
+    version: "v1",
+    expires: inAnHour(),
+  };
+  const token = await tokens.seal(payload);
+
+  assert.doesNotMatch(token, /DSC/);
+  assert.match(token, /^[\w-]+$/);
+  assert.equal(await tokens.seal(payload), token);
+  assert.deepEqual(await tokens.open(token), payload);
+  assert.equal(await (await imageTokens("other")).open(token), null);
+  assert.equal(await tokens.open(`${token.slice(0, -2)}AA`), null);
+  assert.equal(await tokens.open("not a token"), null);
+});
+
+test("opens image tokens sealed without an expiry whenever", async () => {
+  const tokens = await imageTokens(secret);
+  const token = await tokens.seal({ key: "trip/a.jpg" });
+  assert.deepEqual(await tokens.open(token), { key: "trip/a.jpg" });
+});
+
+test("refuses expired image tokens", async () => {
+  const tokens = await imageTokens(secret);
+  const token = await tokens.seal({ key: "trip/a.jpg", expires: 1000 });
+  assert.equal(await tokens.open(token), null);
+});
+
+test("gives each image a stable opaque ID", async () => {
+  const tokens = await imageTokens(secret);
+  const id = await tokens.id("trip/a.jpg");
+
+  assert.equal(await tokens.id("trip/a.jpg"), id);
+  assert.notEqual(await tokens.id("trip/b.jpg"), id);
+  assert.notEqual(await (await imageTokens("other")).id("trip/a.jpg"), id);
+  assert.doesNotMatch(id, /a\.jpg/);
+});
@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { crc32 } from "node:zlib";
+import { createZip } from "../src/zip.js";
+
+const encoder = new TextEncoder();
+
+const streamOf = (...chunks) =>
+  new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) controller.enqueue(chunk);
+      controller.close();
+    },
+  });
+
+async function writeZip(zip) {
+  const chunks = [];
+  await zip.write(
+    new WritableStream({
+      write(chunk) {
+        chunks.push(chunk);
+      },
+    }),
+  );
+  return Buffer.concat(chunks);
+}
+
+// Reads the entries back through the central directory, as unzip would.
+function readEntries(bytes) {
+  const end = bytes.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = bytes.readUInt16LE(end + 10);
+  let offset = bytes.readUInt32LE(end + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(bytes.readUInt32LE(offset), 0x02014b50);
+    const nameLength = bytes.readUInt16LE(offset + 28);
+    const extraLength = bytes.readUInt16LE(offset + 30);
+    const size = bytes.readUInt32LE(offset + 24);
+    const local = bytes.readUInt32LE(offset + 42);
+    assert.equal(bytes.readUInt32LE(local), 0x04034b50);
+    const dataStart =
+      local +
+      30 +
+      bytes.readUInt16LE(local + 26) +
+      bytes.readUInt16LE(local + 28);
+    entries.push({
+      name: bytes.toString("utf8", offset + 46, offset + 46 + nameLength),
+      flags: bytes.readUInt16LE(offset + 8),
+      crc32: bytes.readUInt32LE(offset + 16),
+      data: bytes.subarray(dataStart, dataStart + size),
+    });
+    offset += 46 + nameLength + extraLength;
+  }
+  return entries;
+}
+
+test("writes entries with known and streamed CRCs", async () => {
+  const first = encoder.encode("first photo");
+  const second = [encoder.encode("second "), encoder.encode("phötö")];
+  const secondLength = second[0].length + second[1].length;
+  const zip = createZip([
+    {
+      name: "a.jpg",
+      size: first.length,
+      modified: new Date("2024-05-01T12:00:00Z"),
+      crc32: crc32(first),
+      open: async () => streamOf(first),
+    },
+    {
+      name: "phötös/b.jpg",
+      size: secondLength,
+      open: async () => streamOf(...second),
+    },
+  ]);
+
+  const bytes = await writeZip(zip);
+  assert.equal(bytes.length, zip.length);
+
+  const [a, b] = readEntries(bytes);
+  assert.equal(a.name, "a.jpg");
+  assert.deepEqual(new Uint8Array(a.data), first);
+  assert.equal(a.crc32, crc32(first));
+  assert.equal(a.flags & 0x0008, 0);
+
+  assert.equal(b.name, "phötös/b.jpg");
+  assert.equal(b.data.toString(), "second phötö");
+  assert.equal(b.crc32, crc32(b.data));
+  assert.equal(b.flags & 0x0008, 0x0008);
+});
+
+test("aborts when an entry isn't the size it claimed", async () => {
+  const zip = createZip([
+    {
+      name: "a.jpg",
+      size: 10,
+      open: async () => streamOf(encoder.encode("short")),
+    },
+  ]);
+  await assert.rejects(writeZip(zip), /a\.jpg was 5 bytes, expected 10/);
+});
+
+test("switches to ZIP64 records for entries of 4 GiB or more", () => {
+  const size = 2 ** 32;
+  const entry = { name: "a.mp4", size, crc32: 0, open: async () => {} };
+  // Local header with its ZIP64 extra field, data, central header with its
+  // extra field and the ZIP64 end records.
+  const name = "a.mp4".length;
+  assert.equal(
+    createZip([entry]).length,
+    30 + name + 20 + size + 46 + name + 20 + 56 + 20 + 22,
+  );
+  assert.equal(
+    createZip([{ ...entry, size: 100 }]).length,
+    30 + name + 100 + 46 + name + 22,
+  );
+});
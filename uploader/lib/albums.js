@@ -0,0 +1,54 @@
+// Album dates are a year, month or day ("2025", "2025-06", "2025-06-14"),
+// optionally with a `date_end` that makes them a range.
+const DATE_PATTERN = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+
+// Tags are matched case-insensitively, so they're stored lowercase. Must
+// match normalizeTags in the API worker.
+export const normalizeTags = (tags) => [
+  ...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean)),
+];
+
+export const parseTags = (text) => normalizeTags(text.split(","));
+
+// Parses "2025-06-01" or a range, "2025-06-01..2025-06-14", into
+// `{ date, date_end }`. An empty string clears both.
+export function parseAlbumDate(text) {
+  const [date = "", dateEnd, ...rest] = text
+    .trim()
+    .split("..")
+    .map((part) => part.trim());
+  if (!date && dateEnd === undefined) return {};
+  if (
+    rest.length ||
+    !DATE_PATTERN.test(date) ||
+    (dateEnd !== undefined && !DATE_PATTERN.test(dateEnd))
+  ) {
+    throw new Error(
+      `Invalid date "${text}"; use YYYY, YYYY-MM or YYYY-MM-DD, or two joined by ".."`,
+    );
+  }
+  if (dateEnd !== undefined && dateEnd < date) {
+    throw new Error(`Date range "${text}" ends before it starts`);
+  }
+  return dateEnd === undefined ? { date } : { date, date_end: dateEnd };
+}
+
+export const formatAlbumDate = ({ date, date_end: dateEnd } = {}) =>
+  date ? (dateEnd ? `${date}..${dateEnd}` : date) : "";
+
+// Album cards need their cover's derivatives and placeholder, which are
+// copied from its manifest entry into the album record as `cover_image`, so
+// the API's `/albums` needn't read every manifest. Must match withCoverImage
+// in the API worker.
+export function withCoverImage(album, images = []) {
+  const { cover_image, ...rest } = album;
+  const entry = images.find((image) => image.key === album.cover_key);
+  if (!entry?.derivatives && !entry?.placeholder) return rest;
+  return {
+    ...rest,
+    cover_image: {
+      derivatives: entry.derivatives,
+      placeholder: entry.placeholder,
+    },
+  };
+}
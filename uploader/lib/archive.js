@@ -0,0 +1,36 @@
+import fs from "node:fs/promises";
+import * as tar from "tar";
+
+// Packs and unpacks the tarballs backups can be written to. Archives named
+// `.tar.gz` or `.tgz` are gzipped; gzipped archives are recognised when
+// unpacking whatever their name.
+
+export const isTarball = (filePath) => /\.(tar|tar\.gz|tgz)$/i.test(filePath);
+
+const isGzipped = (filePath) => /\.(tar\.gz|tgz)$/i.test(filePath);
+
+// Writes everything under `dir` to the archive at `archivePath`, with paths
+// relative to `dir`.
+export async function packTar(dir, archivePath) {
+  await tar.create(
+    {
+      file: archivePath,
+      cwd: dir,
+      gzip: isGzipped(archivePath),
+      portable: true,
+    },
+    (await fs.readdir(dir)).sort(),
+  );
+}
+
+// Unpacks the archive at `archivePath` into `dir`. Only files and
+// directories are extracted, and `strict` makes entries that would land
+// outside `dir` (or anything else tar would only warn about) an error.
+export async function extractTar(archivePath, dir) {
+  await tar.extract({
+    file: archivePath,
+    cwd: dir,
+    strict: true,
+    filter: (_, entry) => entry.type === "File" || entry.type === "Directory",
+  });
+}
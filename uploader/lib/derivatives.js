@@ -0,0 +1,112 @@
+import sharp from "sharp";
+
+// Widths (in px) generated for every image, capped at the image's own width.
+export const DERIVATIVE_WIDTHS = [400, 800, 1600, 2400];
+
+export const DERIVATIVE_FORMATS = {
+  webp: { contentType: "image/webp", options: { quality: 80 } },
+  avif: { contentType: "image/avif", options: { quality: 55 } },
+};
+
+// Derivatives live outside the album prefix so they never show up as album
+// images. The API worker builds the same keys from the manifest.
+export const derivativeKey = (key, width, format) =>
+  `_derived/${key}/${width}.${format}`;
+
+export const derivativePrefix = (albumId) => `_derived/${albumId}/`;
+
+export function derivativeWidths(width) {
+  const widths = DERIVATIVE_WIDTHS.filter((w) => w < width);
+  if (width <= DERIVATIVE_WIDTHS.at(-1)) widths.push(width);
+  return widths;
+}
+
+// Client proof albums get `watermark` (default "PROOF") stamped across
+// every derivative; other albums get none.
+export const albumWatermark = (album) =>
+  album?.proof ? album.watermark || "PROOF" : undefined;
+
+const XML_ENTITIES = {
+  "<": "&lt;",
+  ">": "&gt;",
+  "&": "&amp;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+const escapeXml = (text) =>
+  text.replace(/[<>&"']/g, (char) => XML_ENTITIES[char]);
+
+// A translucent line of text, sized to fit, running corner to corner.
+function watermarkSvg(text, width, height) {
+  const fontSize = Math.round(
+    Math.min(height / 3, (width * 0.9) / (text.length * 0.65)),
+  );
+  const angle = (-Math.atan2(height, width) * 180) / Math.PI;
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+      `<text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" ` +
+      `font-family="sans-serif" font-weight="bold" font-size="${fontSize}" ` +
+      `fill="white" fill-opacity="0.35" stroke="black" stroke-opacity="0.25" ` +
+      `stroke-width="${Math.max(1, Math.round(fontSize / 40))}" ` +
+      `transform="rotate(${angle.toFixed(1)} ${width / 2} ${height / 2})">` +
+      `${escapeXml(text)}</text></svg>`,
+  );
+}
+
+// Yields every derivative of `input` (a path or buffer), one at a time to
+// keep memory flat. The source is decoded once, auto-oriented from EXIF and
+// scaled to the largest width; smaller sizes are resized from that.
+export async function* generateDerivatives(input, { watermark } = {}) {
+  const base = await sharp(input)
+    .rotate()
+    .resize({ width: DERIVATIVE_WIDTHS.at(-1), withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  for (const width of derivativeWidths(base.info.width)) {
+    const height = Math.round((base.info.height * width) / base.info.width);
+    const overlay = watermark && [
+      { input: watermarkSvg(watermark, width, height) },
+    ];
+    for (const [format, { contentType, options }] of Object.entries(
+      DERIVATIVE_FORMATS,
+    )) {
+      let image = sharp(base.data, { raw: base.info }).resize({
+        width,
+        height,
+      });
+      if (overlay) image = image.composite(overlay);
+      const buffer = await image.toFormat(format, options).toBuffer();
+      yield { width, format, contentType, buffer };
+    }
+  }
+}
+
+// Longest side (in px) of the blurred preview painted while an image loads.
+const PLACEHOLDER_SIZE = 16;
+
+const toHex = (channel) => channel.toString(16).padStart(2, "0");
+
+// A tiny WebP of `input` as a data URI, plus its dominant colour, for the
+// manifest's `placeholder`. Both come from one small decode of the source.
+export async function generatePlaceholder(input) {
+  const small = await sharp(input)
+    .rotate()
+    .resize(64, 64, { fit: "inside" })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const raw = { raw: small.info };
+
+  const [preview, stats] = await Promise.all([
+    sharp(small.data, raw)
+      .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: "inside" })
+      .webp({ quality: 40 })
+      .toBuffer(),
+    sharp(small.data, raw).stats(),
+  ]);
+  const { r, g, b } = stats.dominant;
+  return {
+    src: `data:image/webp;base64,${preview.toString("base64")}`,
+    color: `#${toHex(r)}${toHex(g)}${toHex(b)}`,
+  };
+}
@@ -0,0 +1,66 @@
+import exifr from "exifr";
+
+const PARSE_OPTIONS = {
+  tiff: true,
+  exif: true,
+  gps: true,
+  xmp: true,
+  reviveValues: false,
+  translateValues: false,
+};
+
+// EXIF dates carry no timezone, so they're kept as wall-clock ISO strings
+// rather than guessed into UTC.
+const toIsoDate = (value) =>
+  typeof value === "string"
+    ? value.replace(/^(\d{4}):(\d{2}):(\d{2}) /, "$1-$2-$3T")
+    : undefined;
+
+const formatShutter = (seconds) => {
+  if (!(seconds > 0)) return undefined;
+  if (seconds >= 0.3) return `${Math.round(seconds * 10) / 10}s`;
+  return `1/${Math.round(1 / seconds)}`;
+};
+
+const round = (value, places) =>
+  Number.isFinite(value) ? Number(value.toFixed(places)) : undefined;
+
+// Reads the camera details shown in the lightbox from `input` (a path or
+// buffer). Resolves to undefined when the image has none, as film scans
+// usually don't.
+export async function readExif(input) {
+  let tags;
+  try {
+    tags = await exifr.parse(input, PARSE_OPTIONS);
+  } catch {
+    return undefined;
+  }
+  if (!tags) return undefined;
+
+  const make = tags.Make?.trim();
+  const model = tags.Model?.trim();
+  const camera =
+    make && model && !model.toLowerCase().startsWith(make.toLowerCase())
+      ? `${make} ${model}`
+      : model || make;
+
+  const exif = {
+    camera,
+    lens: (tags.LensModel ?? tags.Lens)?.trim() || undefined,
+    focalLength: round(tags.FocalLength, 1),
+    aperture: round(tags.FNumber, 1),
+    shutter: formatShutter(tags.ExposureTime),
+    iso: tags.ISO ?? tags.ISOSpeedRatings,
+    takenAt: toIsoDate(tags.DateTimeOriginal ?? tags.CreateDate),
+    gps:
+      Number.isFinite(tags.latitude) && Number.isFinite(tags.longitude)
+        ? {
+            latitude: round(tags.latitude, 6),
+            longitude: round(tags.longitude, 6),
+          }
+        : undefined,
+  };
+
+  const present = Object.entries(exif).filter(([, v]) => v !== undefined);
+  return present.length ? Object.fromEntries(present) : undefined;
+}
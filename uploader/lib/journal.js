@@ -0,0 +1,48 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const JOURNAL_FILENAME = ".digifilm-upload.json";
+
+// Records upload progress in the local folder so an interrupted run can pick
+// up where it stopped: finished files (with their manifest entries) and the
+// parts of any multipart upload still in flight. Entries are only trusted
+// while the file's size and mtime are unchanged. A journal for another album
+// is replaced, and its multipart uploads are returned as `discarded` for the
+// caller to abort.
+export async function openJournal(localFolderPath, albumId) {
+  const journalPath = path.join(localFolderPath, JOURNAL_FILENAME);
+  let data = { albumId, files: {}, multipart: {} };
+  let discarded = [];
+
+  try {
+    const existing = JSON.parse(await fs.readFile(journalPath, "utf8"));
+    if (existing.albumId === albumId) data = existing;
+    else discarded = Object.values(existing.multipart || {});
+  } catch {
+    // No journal yet, or an unreadable one; start fresh.
+  }
+
+  // Concurrent uploads update the journal, so writes are queued.
+  let writing = Promise.resolve();
+
+  return {
+    data,
+    discarded,
+    // The finished entry for `filename`, if it was uploaded unchanged.
+    finished(filename, stats) {
+      const file = data.files[filename];
+      return file?.size === stats.size && file?.mtimeMs === stats.mtimeMs
+        ? file
+        : null;
+    },
+    save() {
+      const snapshot = JSON.stringify(data);
+      writing = writing.then(() => fs.writeFile(journalPath, snapshot));
+      return writing;
+    },
+    async remove() {
+      await writing;
+      await fs.rm(journalPath, { force: true });
+    },
+  };
+}
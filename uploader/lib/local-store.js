@@ -0,0 +1,139 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// The files the local storage backend keeps, shared with the API's dev
+// server, which reads and writes the same ones. This module only uses
+// Node's built-ins, so the dev server can import it without the uploader's
+// dependencies installed.
+
+// Writes land in a temporary file that's renamed into place, so readers
+// (like the dev server) never see half of one.
+export async function writeAtomically(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+  await fs.writeFile(tempPath, data);
+  await fs.rename(tempPath, filePath);
+}
+
+// Keeps every key in one JSON object of strings, as KV would hold them.
+export function jsonFileStore(filePath) {
+  let writing = Promise.resolve();
+
+  const read = async () => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return {};
+      throw error;
+    }
+  };
+  // Changes are queued so concurrent ones don't overwrite each other.
+  const update = (change) => {
+    const result = writing.then(async () => {
+      const data = await read();
+      const value = change(data);
+      await writeAtomically(filePath, `${JSON.stringify(data, null, 2)}\n`);
+      return value;
+    });
+    writing = result.catch(() => {});
+    return result;
+  };
+
+  return {
+    async get(key) {
+      return (await read())[key] ?? null;
+    },
+    put: (key, value) =>
+      update((data) => {
+        data[key] = value;
+      }),
+    delete: (key) =>
+      update((data) => {
+        const existed = key in data;
+        delete data[key];
+        return existed;
+      }),
+    async list(prefix) {
+      return Object.keys(await read())
+        .filter((key) => key.startsWith(prefix))
+        .sort();
+    },
+  };
+}
+
+// Objects under a directory: each in `objects/<key>`, with its content type
+// and custom metadata in `objects.meta/<key>.json` as `{ contentType,
+// metadata }`.
+export function localObjects(dir) {
+  const objectsDir = path.join(dir, "objects");
+  const metaDir = path.join(dir, "objects.meta");
+  const objectPath = (key) => path.join(objectsDir, ...key.split("/"));
+  const metaPath = (key) => `${path.join(metaDir, ...key.split("/"))}.json`;
+
+  // Empty directories are left behind by deletes, which listings would
+  // otherwise keep walking.
+  async function removeEmptyParents(filePath, root) {
+    for (
+      let parent = path.dirname(filePath);
+      parent.startsWith(root + path.sep);
+      parent = path.dirname(parent)
+    ) {
+      if (
+        !(await fs.rmdir(parent).then(
+          () => true,
+          () => false,
+        ))
+      )
+        return;
+    }
+  }
+
+  return {
+    objectsDir,
+    objectPath,
+
+    // Resolves to the object's file stats, or null if there's no such
+    // object.
+    async stat(key) {
+      const stats = await fs.stat(objectPath(key)).catch(() => null);
+      return stats?.isFile() ? stats : null;
+    },
+
+    readMeta: async (key) =>
+      JSON.parse(await fs.readFile(metaPath(key), "utf8").catch(() => "{}")),
+
+    async write(key, body, meta) {
+      await writeAtomically(objectPath(key), body);
+      await writeAtomically(metaPath(key), JSON.stringify(meta));
+    },
+
+    async remove(key) {
+      await fs.rm(objectPath(key), { force: true });
+      await fs.rm(metaPath(key), { force: true });
+      await removeEmptyParents(objectPath(key), objectsDir);
+      await removeEmptyParents(metaPath(key), metaDir);
+    },
+
+    // Resolves to the keys under `prefix`, in key order.
+    async list(prefix) {
+      // Only the directory the prefix ends in needs walking.
+      const start = prefix.slice(0, prefix.lastIndexOf("/") + 1);
+      const keys = [];
+      const walk = async (relative) => {
+        const entries = await fs
+          .readdir(path.join(objectsDir, ...relative.split("/")), {
+            withFileTypes: true,
+          })
+          .catch(() => []);
+        for (const entry of entries) {
+          const key = `${relative}${entry.name}`;
+          if (entry.isDirectory()) await walk(`${key}/`);
+          else if (entry.isFile() && key.startsWith(prefix)) keys.push(key);
+        }
+      };
+      await walk(start);
+      return keys.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    },
+  };
+}
@@ -0,0 +1,144 @@
+import YAML from "yaml";
+
+// An album's `photos` is an ordered list of `{ file, caption, alt }`. The
+// list's order is only used with `sort: "manual"`; captions and alt text
+// apply whatever the sort mode.
+export const SORT_MODES = ["filename", "date", "manual"];
+
+const CSV_COLUMNS = ["file", "caption", "alt"];
+
+// Splits CSV text into rows of fields, handling quoted fields with embedded
+// commas, quotes and newlines.
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((fields) => fields.some((value) => value.trim()));
+}
+
+export const csvField = (value = "") =>
+  /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+function normalizePhoto(photo) {
+  const file = String(photo?.file ?? "").trim();
+  if (!file)
+    throw new Error(`Photo entry without a file: ${JSON.stringify(photo)}`);
+
+  const normalized = { file };
+  for (const field of ["caption", "alt"]) {
+    const value = photo[field] == null ? "" : String(photo[field]).trim();
+    if (value) normalized[field] = value;
+  }
+  return normalized;
+}
+
+export const photoListFormat = (filePath) =>
+  /\.ya?ml$/i.test(filePath) ? "yaml" : "csv";
+
+// Parses a photo list sidecar. CSVs need a header row naming the `file`
+// column (`caption` and `alt` are optional); YAML is a list of mappings with
+// the same keys.
+export function parsePhotoList(text, format) {
+  let photos;
+  if (format === "yaml") {
+    photos = YAML.parse(text) ?? [];
+    if (!Array.isArray(photos)) throw new Error("Expected a list of photos");
+  } else {
+    const [header = [], ...rows] = parseCsvRows(text);
+    const columns = header.map((name) => name.trim().toLowerCase());
+    if (!columns.includes("file")) {
+      throw new Error('CSV header must include a "file" column');
+    }
+    photos = rows.map((row) =>
+      Object.fromEntries(columns.map((name, i) => [name, row[i]])),
+    );
+  }
+
+  const seen = new Set();
+  return photos.map(normalizePhoto).filter((photo) => {
+    if (seen.has(photo.file)) return false;
+    seen.add(photo.file);
+    return true;
+  });
+}
+
+export function formatPhotoList(photos, format) {
+  if (format === "yaml") return YAML.stringify(photos);
+  return [
+    CSV_COLUMNS.join(","),
+    ...photos.map((photo) =>
+      CSV_COLUMNS.map((name) => csvField(photo[name])).join(","),
+    ),
+  ].join("\n");
+}
+
+const filenameOf = (key) => key.slice(key.indexOf("/") + 1);
+
+const compareFilenames = (a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+
+// Orders manifest entries the way the API serves them; keep the two in step.
+export function orderEntries(entries, album) {
+  if (album?.sort === "manual") {
+    const position = new Map(
+      (album.photos || []).map((photo, index) => [photo.file, index]),
+    );
+    const rank = (entry) =>
+      position.get(filenameOf(entry.key)) ?? Number.MAX_SAFE_INTEGER;
+    return entries.sort((a, b) => rank(a) - rank(b) || compareFilenames(a, b));
+  }
+
+  if (album?.sort === "date") {
+    return entries.sort((a, b) => {
+      const [takenA, takenB] = [a.exif?.takenAt, b.exif?.takenAt];
+      if (takenA === takenB) return compareFilenames(a, b);
+      if (!takenA || !takenB) return takenA ? -1 : 1;
+      return takenA < takenB ? -1 : 1;
+    });
+  }
+
+  return entries.sort(compareFilenames);
+}
+
+// The album's photos in display order, one per image in `entries`, with any
+// caption and alt text filled in.
+export function albumPhotoList(entries, album) {
+  const details = new Map(
+    (album?.photos || []).map((photo) => [photo.file, photo]),
+  );
+  return orderEntries([...entries], album).map((entry) => {
+    const file = filenameOf(entry.key);
+    return { file, ...details.get(file) };
+  });
+}
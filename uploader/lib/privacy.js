@@ -0,0 +1,94 @@
+import sharp from "sharp";
+import exifr from "exifr";
+
+// How much of an image's metadata is published with it:
+//   keep       upload the file byte-for-byte
+//   whitelist  keep camera and exposure details, drop everything else (GPS,
+//              serial numbers, XMP and IPTC)
+//   strip      drop all metadata except the colour profile
+export const METADATA_POLICIES = ["keep", "whitelist", "strip"];
+
+export const albumMetadataPolicy = (album) =>
+  album?.metadata_policy ?? (album?.private ? "whitelist" : "keep");
+
+// The EXIF tags `whitelist` keeps, as exifr names them, mapped to where
+// sharp writes them (IFD0 is the main image, IFD2 the Exif sub-IFD).
+const WHITELIST = {
+  Make: ["IFD0", "Make"],
+  Model: ["IFD0", "Model"],
+  Copyright: ["IFD0", "Copyright"],
+  LensMake: ["IFD2", "LensMake"],
+  LensModel: ["IFD2", "LensModel"],
+  FocalLength: ["IFD2", "FocalLength"],
+  FocalLengthIn35mmFormat: ["IFD2", "FocalLengthIn35mmFormat"],
+  FNumber: ["IFD2", "FNumber"],
+  ExposureTime: ["IFD2", "ExposureTime"],
+  ExposureCompensation: ["IFD2", "ExposureBiasValue"],
+  ISO: ["IFD2", "ISOSpeedRatings"],
+  DateTimeOriginal: ["IFD2", "DateTimeOriginal"],
+  OffsetTimeOriginal: ["IFD2", "OffsetTimeOriginal"],
+};
+
+const PARSE_OPTIONS = {
+  tiff: true,
+  exif: true,
+  gps: true,
+  xmp: true,
+  iptc: true,
+  reviveValues: false,
+  translateValues: false,
+};
+
+// Re-encoding is the price of rotating and rewriting metadata, so keep it as
+// close to lossless as the format allows.
+const OUTPUT_OPTIONS = {
+  jpeg: (image) => image.jpeg({ quality: 95, chromaSubsampling: "4:4:4" }),
+  png: (image) => image.png(),
+  webp: (image) => image.webp({ quality: 95 }),
+  heif: (image) => image.avif({ quality: 80 }),
+  tiff: (image) => image.tiff(),
+};
+
+const parseTags = async (input) =>
+  (await exifr.parse(input, PARSE_OPTIONS).catch(() => undefined)) ?? {};
+
+function whitelistedExif(tags) {
+  const exif = {};
+  for (const [name, [ifd, tag]] of Object.entries(WHITELIST)) {
+    const value = tags[name];
+    if (typeof value !== "string" && typeof value !== "number") continue;
+    exif[ifd] ??= {};
+    exif[ifd][tag] = String(value);
+  }
+  return exif;
+}
+
+// Applies `policy` to the image at `filePath`, resolving to the bytes to
+// publish, the metadata fields they no longer carry, and whether the image
+// was rotated upright from its EXIF Orientation. Resolves to null when the
+// file should go up unchanged.
+export async function applyMetadataPolicy(filePath, policy) {
+  if (policy === "keep") return null;
+  if (!METADATA_POLICIES.includes(policy)) {
+    throw new Error(`Unknown metadata policy "${policy}"`);
+  }
+
+  const { format, orientation } = await sharp(filePath).metadata();
+  const encode = OUTPUT_OPTIONS[format];
+  // GIFs have nowhere to keep EXIF, and re-encoding would lose animation.
+  if (!encode) return null;
+
+  const tags = await parseTags(filePath);
+  let image = sharp(filePath).rotate().keepIccProfile();
+  if (policy === "whitelist") image = image.withExif(whitelistedExif(tags));
+  const buffer = await encode(image).toBuffer();
+
+  const kept = await parseTags(buffer);
+  // exifr also adds derived lowercase keys (latitude, longitude, ...);
+  // only real tag names are reported.
+  const removed = Object.keys(tags).filter(
+    (name) => /^[A-Z]/.test(name) && !(name in kept) && name !== "Orientation",
+  );
+
+  return { buffer, removed, rotated: orientation > 1 };
+}
@@ -0,0 +1,59 @@
+const formatBytes = (bytes) => {
+  const units = ["B", "KB", "MB", "GB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+// A single-line progress bar on stderr. When stderr isn't a terminal (cron,
+// CI) nothing is drawn and only messages passed to `log` are printed.
+export function createProgressBar(total) {
+  const stream = process.stderr;
+  const barWidth = 30;
+  let completed = 0;
+  let bytes = 0;
+  let current = "";
+
+  const clear = () => {
+    if (!stream.isTTY) return;
+    stream.cursorTo(0);
+    stream.clearLine(0);
+  };
+
+  const render = () => {
+    if (!stream.isTTY) return;
+    const filled = total
+      ? Math.round((completed / total) * barWidth)
+      : barWidth;
+    const line = `[${"#".repeat(filled)}${"-".repeat(barWidth - filled)}] ${completed}/${total} files, ${formatBytes(bytes)} ${current}`;
+    clear();
+    stream.write(line.slice(0, (stream.columns || 80) - 1));
+  };
+
+  return {
+    start(name) {
+      current = name;
+      render();
+    },
+    addBytes(count) {
+      bytes += count;
+      render();
+    },
+    complete() {
+      completed++;
+      render();
+    },
+    log(...message) {
+      clear();
+      console.error(...message);
+      render();
+    },
+    stop() {
+      clear();
+    },
+  };
+}
@@ -0,0 +1,46 @@
+import { setTimeout as sleep } from "node:timers/promises";
+
+// Runs `fn` over `items` with at most `concurrency` calls in flight.
+// Results keep the order of `items`.
+export async function mapConcurrent(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const workers = Array.from(
+    { length: Math.min(concurrency, items.length) },
+    async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    },
+  );
+
+  await Promise.all(workers);
+  return results;
+}
+
+// Network errors, throttling and 5xx responses are worth another go;
+// anything else (bad credentials, missing bucket) will fail the same way.
+function isRetryable(error) {
+  const status = error.$metadata?.httpStatusCode;
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+// Retries `fn` with exponential backoff (plus jitter) between attempts.
+export async function withRetry(
+  fn,
+  { attempts = 5, baseDelayMs = 500, onRetry } = {},
+) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= attempts || !isRetryable(error)) throw error;
+
+      const delay = baseDelayMs * 2 ** (attempt - 1) * (0.5 + Math.random());
+      onRetry?.(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,44 @@
+import { csvField } from "./photos.js";
+
+// Visitors' favourites are stored by the API worker as
+// `selections:<albumId>:<email or name>` records of
+// `{ name, email, note, files, submitted_at }`.
+export const SELECTION_FORMATS = ["files", "csv"];
+
+const CSV_COLUMNS = ["name", "email", "submitted_at", "file", "note"];
+
+export const selectionKeyPrefix = (albumId) => `selections:${albumId}:`;
+
+export const describeSubmitter = ({ name, email }) =>
+  name && email ? `${name} <${email}>` : name || email;
+
+// Whether `submission` was made by `who`, a name or email address.
+export function submittedBy(submission, who) {
+  const wanted = who.trim().toLowerCase();
+  return [submission.name, submission.email].some(
+    (value) => value?.toLowerCase() === wanted,
+  );
+}
+
+// `files` lists every selected photo once, in `order` (the album's display
+// order) with any it doesn't know last; `csv` has one row per submitted
+// photo.
+export function formatSelections(submissions, format, order = []) {
+  if (format === "csv") {
+    return [
+      CSV_COLUMNS.join(","),
+      ...submissions.flatMap((submission) =>
+        submission.files.map((file) =>
+          CSV_COLUMNS.map((name) =>
+            csvField(name === "file" ? file : submission[name]),
+          ).join(","),
+        ),
+      ),
+    ].join("\n");
+  }
+
+  const position = new Map(order.map((file, index) => [file, index]));
+  const rank = (file) => position.get(file) ?? Number.MAX_SAFE_INTEGER;
+  const files = [...new Set(submissions.flatMap(({ files }) => files))];
+  return files.sort((a, b) => rank(a) - rank(b)).join("\n");
+}
@@ -0,0 +1,352 @@
+import {
+  AbortMultipartUploadCommand,
+  CompleteMultipartUploadCommand,
+  CopyObjectCommand,
+  CreateMultipartUploadCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  S3Client,
+  UploadPartCommand,
+} from "@aws-sdk/client-s3";
+import Cloudflare from "cloudflare";
+import crypto from "node:crypto";
+import { createReadStream } from "node:fs";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { Readable } from "node:stream";
+import { buffer } from "node:stream/consumers";
+import { jsonFileStore, localObjects } from "./local-store.js";
+
+// Where albums are kept, picked by STORAGE_BACKEND:
+//
+//   r2     Cloudflare R2 for images and Workers KV for metadata (default)
+//   s3     any S3-compatible endpoint (e.g. MinIO) for images, and a JSON
+//          file for metadata
+//   local  a plain directory for both, which the API's dev server can serve
+//
+// Images are always reached through an S3 client, or something that answers
+// the same commands, and metadata through a store of string values with
+// `get`, `put`, `delete` (resolving to whether the key existed) and `list`
+// (resolving to the key names under a prefix), like KV.
+export const STORAGE_BACKENDS = ["r2", "s3", "local"];
+
+function requireEnv(env, backend, names) {
+  const missing = names.filter((name) => !env[name]);
+  if (missing.length > 0) {
+    throw new Error(
+      `Missing ${missing.join(", ")} for the ${backend} storage backend. Please check your .env file or system environment.`,
+    );
+  }
+}
+
+const isKvNotFound = (error) =>
+  error.status === 404 || error.message?.includes("10009");
+
+function cloudflareKvStore({ apiToken, accountId, namespaceId }) {
+  const client = new Cloudflare({ apiToken });
+  const values = client.kv.namespaces.values;
+
+  return {
+    async get(key) {
+      try {
+        const value = await values.get(namespaceId, key, {
+          account_id: accountId,
+        });
+        return value ? await value.text() : null;
+      } catch (error) {
+        if (isKvNotFound(error)) return null;
+        throw error;
+      }
+    },
+    async put(key, value) {
+      await values.update(namespaceId, key, { account_id: accountId, value });
+    },
+    async delete(key) {
+      try {
+        await values.delete(namespaceId, key, { account_id: accountId });
+        return true;
+      } catch (error) {
+        if (isKvNotFound(error)) return false;
+        throw error;
+      }
+    },
+    async list(prefix) {
+      const names = [];
+      for await (const key of client.kv.namespaces.keys.list(namespaceId, {
+        account_id: accountId,
+        prefix,
+      })) {
+        names.push(key.name);
+      }
+      return names;
+    },
+  };
+}
+
+function s3Error(name, status, message) {
+  const error = new Error(message);
+  error.name = name;
+  error.$metadata = { httpStatusCode: status };
+  return error;
+}
+
+// Answers the S3 commands the uploader sends, from a directory laid out as
+// localObjects describes, plus unfinished multipart uploads in `uploads/`.
+export function localObjectClient(dir) {
+  const objects = localObjects(dir);
+  const uploadDir = (uploadId) => path.join(dir, "uploads", uploadId);
+
+  async function head(key) {
+    const stats = await objects.stat(key);
+    if (!stats) throw s3Error("NotFound", 404, `${key} not found`);
+    const meta = await objects.readMeta(key);
+    return {
+      ContentLength: stats.size,
+      ContentType: meta.contentType,
+      LastModified: stats.mtime,
+      Metadata: meta.metadata || {},
+      ETag: meta.metadata?.md5 && `"${meta.metadata.md5}"`,
+    };
+  }
+
+  const handlers = [
+    [
+      PutObjectCommand,
+      async ({ Key, Body, ContentType, Metadata }) => {
+        await objects.write(Key, Body, {
+          contentType: ContentType,
+          metadata: Metadata,
+        });
+        return {};
+      },
+    ],
+    [HeadObjectCommand, ({ Key }) => head(Key)],
+    [
+      GetObjectCommand,
+      async ({ Key, Range }) => {
+        const response = await head(Key).catch(() => {
+          throw s3Error("NoSuchKey", 404, `${Key} not found`);
+        });
+        const range = /^bytes=(\d+)-(\d*)$/.exec(Range || "");
+        const start = range ? Number(range[1]) : 0;
+        const end = Math.min(
+          range?.[2] ? Number(range[2]) + 1 : Infinity,
+          response.ContentLength,
+        );
+        // Like the SDK's, the body is a Node stream that can also be read
+        // whole with transformToByteArray.
+        const body =
+          end > start
+            ? createReadStream(objects.objectPath(Key), {
+                start,
+                end: end - 1,
+              })
+            : Readable.from([]);
+        body.transformToByteArray = async () =>
+          new Uint8Array(await buffer(body));
+        return {
+          ...response,
+          ContentLength: Math.max(0, end - start),
+          Body: body,
+        };
+      },
+    ],
+    [
+      ListObjectsV2Command,
+      async ({ Prefix = "" }) => ({
+        Contents: await Promise.all(
+          (await objects.list(Prefix)).map(async (key) => {
+            const { ContentLength, LastModified, ETag } = await head(key);
+            return { Key: key, Size: ContentLength, LastModified, ETag };
+          }),
+        ),
+        IsTruncated: false,
+      }),
+    ],
+    [
+      CopyObjectCommand,
+      async ({ Key, CopySource, MetadataDirective, Metadata }) => {
+        const source = decodeURIComponent(
+          CopySource.slice(CopySource.indexOf("/") + 1),
+        );
+        if (!(await objects.stat(source))) {
+          throw s3Error("NoSuchKey", 404, `${source} not found`);
+        }
+        const meta = await objects.readMeta(source);
+        await objects.write(
+          Key,
+          await fs.readFile(objects.objectPath(source)),
+          {
+            ...meta,
+            ...(MetadataDirective === "REPLACE" && { metadata: Metadata }),
+          },
+        );
+        return {};
+      },
+    ],
+    [
+      DeleteObjectsCommand,
+      async ({ Delete }) => {
+        for (const { Key } of Delete.Objects) await objects.remove(Key);
+        return { Deleted: Delete.Objects };
+      },
+    ],
+    [
+      CreateMultipartUploadCommand,
+      async ({ Key, ContentType, Metadata }) => {
+        const uploadId = crypto.randomUUID();
+        await fs.mkdir(uploadDir(uploadId), { recursive: true });
+        await fs.writeFile(
+          path.join(uploadDir(uploadId), "upload.json"),
+          JSON.stringify({
+            key: Key,
+            contentType: ContentType,
+            metadata: Metadata,
+          }),
+        );
+        return { UploadId: uploadId };
+      },
+    ],
+    [
+      UploadPartCommand,
+      async ({ UploadId, PartNumber, Body }) => {
+        const partPath = path.join(uploadDir(UploadId), String(PartNumber));
+        if (!(await fs.stat(uploadDir(UploadId)).catch(() => null))) {
+          throw s3Error("NoSuchUpload", 404, `Upload ${UploadId} not found`);
+        }
+        await fs.writeFile(partPath, Body);
+        return {
+          ETag: `"${crypto.createHash("md5").update(Body).digest("hex")}"`,
+        };
+      },
+    ],
+    [
+      CompleteMultipartUploadCommand,
+      async ({ UploadId, MultipartUpload }) => {
+        const upload = JSON.parse(
+          await fs
+            .readFile(path.join(uploadDir(UploadId), "upload.json"), "utf8")
+            .catch(() => {
+              throw s3Error(
+                "NoSuchUpload",
+                404,
+                `Upload ${UploadId} not found`,
+              );
+            }),
+        );
+        const parts = await Promise.all(
+          MultipartUpload.Parts.map(({ PartNumber }) =>
+            fs.readFile(path.join(uploadDir(UploadId), String(PartNumber))),
+          ),
+        );
+        await objects.write(upload.key, Buffer.concat(parts), {
+          contentType: upload.contentType,
+          metadata: upload.metadata,
+        });
+        await fs.rm(uploadDir(UploadId), { recursive: true, force: true });
+        return {};
+      },
+    ],
+    [
+      AbortMultipartUploadCommand,
+      async ({ UploadId }) => {
+        if (!(await fs.stat(uploadDir(UploadId)).catch(() => null))) {
+          throw s3Error("NoSuchUpload", 404, `Upload ${UploadId} not found`);
+        }
+        await fs.rm(uploadDir(UploadId), { recursive: true, force: true });
+        return {};
+      },
+    ],
+  ];
+
+  return {
+    async send(command) {
+      const handler = handlers.find(([type]) => command instanceof type);
+      if (!handler) {
+        throw new Error(`${command.constructor.name} isn't supported locally`);
+      }
+      return handler[1](command.input);
+    },
+  };
+}
+
+// Resolves STORAGE_BACKEND and its settings in `env` to `{ backend, bucket,
+// client, metadata }`. `metadata` is null when the r2 backend has no KV
+// credentials, which leaves only image uploads working.
+export function openStorage(env) {
+  const backend = env.STORAGE_BACKEND || "r2";
+
+  if (backend === "r2") {
+    requireEnv(env, backend, [
+      "R2_ACCOUNT_ID",
+      "R2_ACCESS_KEY_ID",
+      "R2_SECRET_ACCESS_KEY",
+      "R2_BUCKET_NAME",
+    ]);
+    return {
+      backend,
+      bucket: env.R2_BUCKET_NAME,
+      client: new S3Client({
+        region: "auto",
+        endpoint: `https://${env.R2_ACCOUNT_ID}.r2.cloudflarestorage.com`,
+        credentials: {
+          accessKeyId: env.R2_ACCESS_KEY_ID,
+          secretAccessKey: env.R2_SECRET_ACCESS_KEY,
+        },
+      }),
+      metadata:
+        env.CLOUDFLARE_API_TOKEN && env.KV_NAMESPACE_ID
+          ? cloudflareKvStore({
+              apiToken: env.CLOUDFLARE_API_TOKEN,
+              accountId: env.R2_ACCOUNT_ID,
+              namespaceId: env.KV_NAMESPACE_ID,
+            })
+          : null,
+    };
+  }
+
+  if (backend === "s3") {
+    requireEnv(env, backend, [
+      "S3_ENDPOINT",
+      "S3_ACCESS_KEY_ID",
+      "S3_SECRET_ACCESS_KEY",
+      "S3_BUCKET_NAME",
+      "METADATA_FILE",
+    ]);
+    return {
+      backend,
+      bucket: env.S3_BUCKET_NAME,
+      // MinIO and most other S3 lookalikes don't do virtual-hosted buckets.
+      client: new S3Client({
+        region: env.S3_REGION || "us-east-1",
+        endpoint: env.S3_ENDPOINT,
+        forcePathStyle: true,
+        credentials: {
+          accessKeyId: env.S3_ACCESS_KEY_ID,
+          secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        },
+      }),
+      metadata: jsonFileStore(path.resolve(env.METADATA_FILE)),
+    };
+  }
+
+  if (backend === "local") {
+    requireEnv(env, backend, ["LOCAL_STORAGE_DIR"]);
+    const dir = path.resolve(env.LOCAL_STORAGE_DIR);
+    return {
+      backend,
+      bucket: "local",
+      client: localObjectClient(dir),
+      metadata: jsonFileStore(
+        path.resolve(env.METADATA_FILE || path.join(dir, "metadata.json")),
+      ),
+    };
+  }
+
+  throw new Error(
+    `Unknown STORAGE_BACKEND "${backend}"; expected one of ${STORAGE_BACKENDS.join(", ")}`,
+  );
+}
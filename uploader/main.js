@@ -1,97 +1,143 @@
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
+import { PutObjectCommand } from "@aws-sdk/client-s3";
+import crypto from "node:crypto";
+import { createReadStream, createWriteStream } from "node:fs";
 import fs from "node:fs/promises";
+import os from "node:os";
 import path from "node:path";
+import { pipeline } from "node:stream/promises";
+import { parseArgs } from "node:util";
+import zlib from "node:zlib";
 import dotenv from "dotenv";
 import inquirer from "inquirer";
 import { glob } from "glob";
 import sizeOf from "image-size";
-import Cloudflare from "cloudflare";
-
-dotenv.config();
-
-const R2_ACCOUNT_ID = process.env.R2_ACCOUNT_ID;
-const R2_ACCESS_KEY_ID = process.env.R2_ACCESS_KEY_ID;
-const R2_SECRET_ACCESS_KEY = process.env.R2_SECRET_ACCESS_KEY;
-const R2_BUCKET_NAME = process.env.R2_BUCKET_NAME;
-const CLOUDFLARE_API_TOKEN = process.env.CLOUDFLARE_API_TOKEN;
-const KV_NAMESPACE_ID = process.env.KV_NAMESPACE_ID;
-
-if (
-  !R2_ACCOUNT_ID ||
-  !R2_ACCESS_KEY_ID ||
-  !R2_SECRET_ACCESS_KEY ||
-  !R2_BUCKET_NAME
-) {
-  console.error(
-    "Missing R2 environment variables. Please check your .env file or system environment.",
-  );
+import {
+  DERIVATIVE_FORMATS,
+  albumWatermark,
+  derivativeKey,
+  derivativePrefix,
+  generateDerivatives,
+  generatePlaceholder,
+} from "./lib/derivatives.js";
+import {
+  formatAlbumDate,
+  parseAlbumDate,
+  parseTags,
+  withCoverImage,
+} from "./lib/albums.js";
+import { extractTar, isTarball, packTar } from "./lib/archive.js";
+import { readExif } from "./lib/exif.js";
+import { JOURNAL_FILENAME, openJournal } from "./lib/journal.js";
+import {
+  SORT_MODES,
+  albumPhotoList,
+  formatPhotoList,
+  parsePhotoList,
+  photoListFormat,
+} from "./lib/photos.js";
+import {
+  METADATA_POLICIES,
+  albumMetadataPolicy,
+  applyMetadataPolicy,
+} from "./lib/privacy.js";
+import { createProgressBar } from "./lib/progress.js";
+import { mapConcurrent, withRetry } from "./lib/queue.js";
+import {
+  SELECTION_FORMATS,
+  describeSubmitter,
+  formatSelections,
+  selectionKeyPrefix,
+  submittedBy,
+} from "./lib/selections.js";
+import { openStorage } from "./lib/storage.js";
+
+dotenv.config({ quiet: true });
+
+const TOKEN_SECRET = process.env.TOKEN_SECRET;
+const SITE_BASE_URL = process.env.SITE_BASE_URL || "https://digifilm.pics";
+const UPLOAD_CONCURRENCY = parseInt(process.env.UPLOAD_CONCURRENCY, 10) || 4;
+
+// Files at least this big are uploaded in parts instead of being read into
+// memory whole.
+const MULTIPART_THRESHOLD = 32 * 1024 * 1024;
+const MULTIPART_PART_SIZE = 16 * 1024 * 1024;
+// image-size only needs an image's headers; this is plenty even for JPEGs
+// with large embedded EXIF thumbnails.
+const DIMENSIONS_PROBE_BYTES = 1024 * 1024;
+const IMAGE_PATTERN = /\.(jpeg|jpg|png|gif|webp|avif)$/i;
+
+let storage;
+try {
+  storage = openStorage(process.env);
+} catch (error) {
+  console.error(error.message);
   process.exit(1);
 }
+const s3Client = storage.client;
+const BUCKET_NAME = storage.bucket;
+const metadataStore = storage.metadata;
 
-const R2_ENDPOINT = `https://${R2_ACCOUNT_ID}.r2.cloudflarestorage.com`;
-const s3Client = new S3Client({
-  region: "auto",
-  endpoint: R2_ENDPOINT,
-  credentials: {
-    accessKeyId: R2_ACCESS_KEY_ID,
-    secretAccessKey: R2_SECRET_ACCESS_KEY,
-  },
-});
-
-let cloudflareClient = null;
-if (CLOUDFLARE_API_TOKEN) {
-  cloudflareClient = new Cloudflare({
-    apiToken: CLOUDFLARE_API_TOKEN,
-  });
-}
+// CopyObject's source is `<bucket>/<key>` with each of the key's segments
+// URL-encoded, but not the slashes between them.
+const copySource = (key) =>
+  `${BUCKET_NAME}/${key.split("/").map(encodeURIComponent).join("/")}`;
 
-async function getKvMetadata(albumId) {
-  if (!cloudflareClient || !KV_NAMESPACE_ID) {
+const MISSING_METADATA_STORE =
+  "Missing Cloudflare credentials (CLOUDFLARE_API_TOKEN, KV_NAMESPACE_ID)";
+
+async function getKvJson(kvKey) {
+  if (!metadataStore) {
     return null;
   }
 
-  const kvKey = `album:${albumId}`;
-
   try {
-    const value = await cloudflareClient.kv.namespaces.values.get(
-      KV_NAMESPACE_ID,
-      kvKey,
-      {
-        account_id: R2_ACCOUNT_ID,
-      },
-    );
-
-    if (!value) {
-      return null;
-    }
-
-    const content = await value.json();
-    return content;
+    const value = await metadataStore.get(kvKey);
+    return value ? JSON.parse(value) : null;
   } catch (error) {
-    if (error.status === 404 || error.message?.includes("10009")) {
-      return null;
-    }
-    console.warn("Warning: Error fetching KV metadata:", error.message);
+    console.warn(`Warning: Error fetching KV key ${kvKey}:`, error.message);
     return null;
   }
 }
 
-async function updateKvMetadata(albumId, metadata) {
-  if (!cloudflareClient || !KV_NAMESPACE_ID) {
-    console.error(
-      "Missing Cloudflare credentials (CLOUDFLARE_API_TOKEN, KV_NAMESPACE_ID)",
-    );
-    return false;
-  }
+// Throws on failure; callers decide how loudly to report it.
+async function putKvJson(kvKey, value) {
+  if (!metadataStore) throw new Error(MISSING_METADATA_STORE);
+  await metadataStore.put(kvKey, JSON.stringify(value));
+}
 
-  const kvKey = `album:${albumId}`;
+// Resolves to false if the key didn't exist.
+async function deleteKvKey(kvKey) {
+  if (!metadataStore) throw new Error(MISSING_METADATA_STORE);
+  return metadataStore.delete(kvKey);
+}
+
+async function listKvKeys(prefix) {
+  if (!metadataStore) throw new Error(MISSING_METADATA_STORE);
+  return metadataStore.list(prefix);
+}
 
+// The API worker keys its edge cache on this, so bumping it after any change
+// makes the next request rebuild its response.
+async function bumpCacheVersion() {
   try {
-    await cloudflareClient.kv.namespaces.values.update(KV_NAMESPACE_ID, kvKey, {
-      account_id: R2_ACCOUNT_ID,
-      value: JSON.stringify(metadata),
-    });
+    await putKvJson("cache:version", Date.now());
+  } catch (error) {
+    console.warn("Warning: Could not bump API cache version:", error.message);
+  }
+}
+
+async function getKvMetadata(albumId) {
+  return getKvJson(`album:${albumId}`);
+}
 
+async function updateKvMetadata(albumId, metadata) {
+  try {
+    const manifest = await getManifest(albumId);
+    await putKvJson(
+      `album:${albumId}`,
+      withCoverImage(metadata, manifest?.images),
+    );
+    await bumpCacheVersion();
     console.log(`✅ Successfully updated KV metadata for album:${albumId}`);
     return true;
   } catch (error) {
@@ -101,86 +147,375 @@ async function updateKvMetadata(albumId, metadata) {
 }
 
 async function deleteKvMetadata(albumId) {
-  if (!cloudflareClient || !KV_NAMESPACE_ID) {
+  if (!metadataStore) {
     console.warn("Missing Cloudflare credentials, skipping KV deletion");
     return false;
   }
 
-  const kvKey = `album:${albumId}`;
-
   try {
-    await cloudflareClient.kv.namespaces.values.delete(KV_NAMESPACE_ID, kvKey, {
-      account_id: R2_ACCOUNT_ID,
-    });
-
-    console.log(`✅ Successfully deleted KV metadata for album:${albumId}`);
-    return true;
-  } catch (error) {
-    if (error.status === 404 || error.message?.includes("10009")) {
+    if (await deleteKvKey(`album:${albumId}`)) {
+      console.log(`✅ Successfully deleted KV metadata for album:${albumId}`);
+    } else {
       console.log(`No KV metadata found for album:${albumId}`);
-      return true;
     }
+    await deleteKvKey(`manifest:${albumId}`);
+    for (const kvKey of await listKvKeys(selectionKeyPrefix(albumId))) {
+      await deleteKvKey(kvKey);
+    }
+    // Redirects from its old IDs would only lead to a 404 now.
+    for (const kvKey of await listKvKeys("redirect:")) {
+      if ((await getKvJson(kvKey))?.album === albumId) {
+        await deleteKvKey(kvKey);
+      }
+    }
+    await bumpCacheVersion();
+    return true;
+  } catch (error) {
     console.error("Error deleting KV metadata:", error.message);
     return false;
   }
 }
 
-async function listR2Images(albumId) {
-  try {
-    const { ListObjectsV2Command } = await import("@aws-sdk/client-s3");
+// Must match verifyToken in the API worker: `<expiry>.<signature>`, signed over
+// `<purpose>:<albumId>:<expiry>`.
+function signToken(purpose, albumId, expires) {
+  const signature = crypto
+    .createHmac("sha256", TOKEN_SECRET)
+    .update(`${purpose}:${albumId}:${expires}`)
+    .digest("base64url");
+  return `${expires}.${signature}`;
+}
+
+// Must match verifyPassword in the API worker. Workers cap PBKDF2 at 100k
+// iterations, so don't raise this.
+const PASSWORD_ITERATIONS = 100000;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.pbkdf2Sync(
+    password,
+    salt,
+    PASSWORD_ITERATIONS,
+    32,
+    "sha256",
+  );
+  return {
+    salt: salt.toString("base64"),
+    hash: hash.toString("base64"),
+    iterations: PASSWORD_ITERATIONS,
+  };
+}
+
+// Keeps password hashes out of the terminal when printing album metadata.
+function redactMetadata(metadata) {
+  if (!metadata?.password) return metadata;
+  return { ...metadata, password: "(set)" };
+}
+
+function createShareLink(albumId, expiresInDays) {
+  if (!TOKEN_SECRET) {
+    throw new Error(
+      "Missing TOKEN_SECRET. It must match the secret configured on the API worker.",
+    );
+  }
+
+  // The API only accepts whole seconds, and links may last part of a day.
+  const expires = Math.floor(Date.now() / 1000 + expiresInDays * 86400);
+  const token = signToken("share", albumId, expires);
+  return {
+    link: `${SITE_BASE_URL}/album.html?token=${token}#${albumId}`,
+    expires: new Date(expires * 1000).toISOString(),
+  };
+}
+
+async function generateShareLink(albumId) {
+  console.log(`\n--- Generating share link for album: "${albumId}" ---`);
+
+  if (!TOKEN_SECRET) {
+    console.error(
+      "Missing TOKEN_SECRET. It must match the secret configured on the API worker.",
+    );
+    return;
+  }
+
+  const existingMetadata = await getKvMetadata(albumId);
+  if (!existingMetadata) {
+    console.warn("Warning: No KV metadata found for this album.");
+  } else if (!existingMetadata.private) {
+    console.warn(
+      "Warning: This album is not private, so anyone can already view it.",
+    );
+  }
+
+  const { expiresInDays } = await inquirer.prompt({
+    type: "number",
+    name: "expiresInDays",
+    message: "How many days should the link be valid for?",
+    default: 30,
+    validate: (input) => input > 0 || "Please enter a positive number of days",
+  });
+
+  const { link, expires } = createShareLink(albumId, expiresInDays);
+  console.log(`\nShare link (expires ${expires}):`);
+  console.log(link);
+}
+
+// Single-part uploads have the object's MD5 as their ETag; multipart ETags
+// (`<hash>-<parts>`) don't, so they can't be compared against a local file.
+const md5FromEtag = (etag) => (/^[0-9a-f]{32}$/.test(etag) ? etag : undefined);
+
+// The API's ZIP downloads reuse the CRC-32 rather than computing it on the
+// fly, so it's worked out alongside the MD5 at upload.
+async function checksumFile(filePath) {
+  const hash = crypto.createHash("md5");
+  let crc32 = 0;
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+    crc32 = zlib.crc32(chunk, crc32);
+  }
+  return { md5: hash.digest("hex"), crc32 };
+}
+
+async function hashFile(filePath) {
+  return (await checksumFile(filePath)).md5;
+}
+
+async function listR2Prefix(prefix) {
+  const { ListObjectsV2Command } = await import("@aws-sdk/client-s3");
+  const contents = [];
+  let continuationToken;
+
+  do {
     const command = new ListObjectsV2Command({
-      Bucket: R2_BUCKET_NAME,
-      Prefix: `${albumId}/`,
+      Bucket: BUCKET_NAME,
+      Prefix: prefix,
+      ContinuationToken: continuationToken,
     });
 
     const response = await s3Client.send(command);
-    return (response.Contents || [])
-      .filter((obj) => /\.(jpeg|jpg|png|gif|webp|avif)$/i.test(obj.Key))
-      .map((obj) => obj.Key);
+    contents.push(...(response.Contents || []));
+    continuationToken = response.IsTruncated
+      ? response.NextContinuationToken
+      : undefined;
+  } while (continuationToken);
+
+  return contents;
+}
+
+async function listR2Objects(albumId) {
+  const contents = await listR2Prefix(`${albumId}/`);
+  return contents
+    .filter((obj) => IMAGE_PATTERN.test(obj.Key))
+    .map((obj) => ({
+      key: obj.Key,
+      size: obj.Size,
+      etag: obj.ETag?.replace(/"/g, ""),
+      lastModified: obj.LastModified,
+    }));
+}
+
+// Maps each original's key to the derivative widths and formats that exist
+// for it in R2.
+async function listDerivatives(albumId) {
+  const derivatives = new Map();
+  for (const obj of await listR2Prefix(derivativePrefix(albumId))) {
+    const match = obj.Key.match(/^_derived\/(.+)\/(\d+)\.(\w+)$/);
+    if (!match) continue;
+
+    const [, key, width, format] = match;
+    const entry = derivatives.get(key) ?? { widths: [], formats: [] };
+    if (!entry.widths.includes(Number(width))) entry.widths.push(Number(width));
+    if (!entry.formats.includes(format)) entry.formats.push(format);
+    derivatives.set(key, entry);
+  }
+
+  for (const entry of derivatives.values()) entry.widths.sort((a, b) => a - b);
+  return derivatives;
+}
+
+async function listR2Images(albumId) {
+  try {
+    const objects = await listR2Objects(albumId);
+    return objects.map((obj) => obj.key);
   } catch (error) {
     console.warn("Warning: Could not list existing R2 images:", error.message);
     return [];
   }
 }
 
-async function deleteR2Images(albumId) {
+// Reads dimensions from an object's custom metadata, falling back to its
+// headers for images uploaded without them. EXIF always comes from the
+// headers, since it isn't kept in object metadata.
+async function describeR2Image(obj) {
+  const { HeadObjectCommand, GetObjectCommand } =
+    await import("@aws-sdk/client-s3");
+  const [head, probe] = await Promise.all([
+    s3Client.send(new HeadObjectCommand({ Bucket: BUCKET_NAME, Key: obj.key })),
+    s3Client.send(
+      new GetObjectCommand({
+        Bucket: BUCKET_NAME,
+        Key: obj.key,
+        Range: `bytes=0-${DIMENSIONS_PROBE_BYTES - 1}`,
+      }),
+    ),
+  ]);
+  const header = Buffer.from(await probe.Body.transformToByteArray());
+  let width = parseInt(head.Metadata?.width, 10);
+  let height = parseInt(head.Metadata?.height, 10);
+
+  if (!(width > 0 && height > 0)) {
+    try {
+      const dimensions = uprightSize(header);
+      width = dimensions.width;
+      height = dimensions.height;
+    } catch {
+      console.warn(`  Warning: Could not determine dimensions for ${obj.key}`);
+      width = 1200;
+      height = 800;
+    }
+  }
+
+  return {
+    key: obj.key,
+    width,
+    height,
+    size: obj.size,
+    md5: head.Metadata?.md5 || md5FromEtag(obj.etag),
+    crc32: head.Metadata?.crc32 ? Number(head.Metadata.crc32) : undefined,
+    source: head.Metadata?.["metadata-policy"]
+      ? {
+          size: parseInt(head.Metadata["source-size"], 10),
+          md5: head.Metadata["source-md5"],
+          policy: head.Metadata["metadata-policy"],
+        }
+      : undefined,
+    exif: await readExif(header),
+    uploaded_at: obj.lastModified.toISOString(),
+  };
+}
+
+async function getManifest(albumId) {
+  return getKvJson(`manifest:${albumId}`);
+}
+
+// Writes `manifest:<albumId>`, which the API serves instead of HEADing every
+// image. Entries from `knownEntries` and the existing manifest are reused
+// where the object size still matches; anything else in R2 is described from
+// scratch, and entries whose objects are gone are dropped. Derivative widths
+// and formats always come from R2; their watermark and version come from
+// `derivatives` (keyed by image) or the reused entry. `placeholders` (also
+// keyed by image) replace the entries' placeholders.
+async function writeManifest(
+  albumId,
+  knownEntries = [],
+  { rebuild, derivatives: generated, placeholders } = {},
+) {
   try {
-    const { DeleteObjectsCommand } = await import("@aws-sdk/client-s3");
-    const imageKeys = await listR2Images(albumId);
+    const known = new Map();
+    if (!rebuild) {
+      const existing = await getManifest(albumId);
+      for (const entry of existing?.images || []) known.set(entry.key, entry);
+    }
+    for (const entry of knownEntries) known.set(entry.key, entry);
+
+    const [objects, derivatives] = await Promise.all([
+      listR2Objects(albumId),
+      listDerivatives(albumId),
+    ]);
+    const images = [];
+    for (const obj of objects) {
+      if (obj.size === 0) continue;
+      const knownEntry = known.get(obj.key);
+      const entry =
+        knownEntry?.size === obj.size ? knownEntry : await describeR2Image(obj);
+      const listed = derivatives.get(obj.key);
+      const { watermark, version } =
+        generated?.get(obj.key) ?? entry.derivatives ?? {};
+      entry.derivatives = listed && { ...listed, watermark, version };
+      if (placeholders?.has(obj.key)) {
+        entry.placeholder = placeholders.get(obj.key);
+      }
+      images.push(entry);
+    }
 
-    if (imageKeys.length === 0) {
-      console.log("No images found to delete.");
-      return true;
+    // Same lexical order R2 lists in, which is what albums showed before.
+    images.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+    images.forEach((entry, index) => (entry.order = index));
+
+    await putKvJson(`manifest:${albumId}`, {
+      version: 1,
+      updated_at: new Date().toISOString(),
+      images,
+    });
+    const album = await getKvMetadata(albumId);
+    if (album) {
+      await putKvJson(`album:${albumId}`, withCoverImage(album, images));
     }
+    await bumpCacheVersion();
+    console.log(
+      `✅ Wrote manifest for album:${albumId} (${images.length} images)`,
+    );
+    return true;
+  } catch (error) {
+    console.error("Error writing manifest:", error.message);
+    return false;
+  }
+}
 
-    console.log(`Found ${imageKeys.length} images to delete...`);
+async function rebuildManifest(albumId) {
+  console.log(`\n--- Rebuilding manifest for album: "${albumId}" ---`);
+  await writeManifest(albumId, [], { rebuild: true });
+}
 
-    // R2 allows batch deletion of up to 1000 objects at once
-    const batchSize = 1000;
-    let deletedCount = 0;
+async function deleteR2Keys(keys) {
+  const { DeleteObjectsCommand } = await import("@aws-sdk/client-s3");
 
-    for (let i = 0; i < imageKeys.length; i += batchSize) {
-      const batch = imageKeys.slice(i, i + batchSize);
+  // R2 allows batch deletion of up to 1000 objects at once
+  const batchSize = 1000;
+  let deletedCount = 0;
 
-      const command = new DeleteObjectsCommand({
-        Bucket: R2_BUCKET_NAME,
-        Delete: {
-          Objects: batch.map((key) => ({ Key: key })),
-          Quiet: false,
-        },
+  for (let i = 0; i < keys.length; i += batchSize) {
+    const batch = keys.slice(i, i + batchSize);
+
+    const command = new DeleteObjectsCommand({
+      Bucket: BUCKET_NAME,
+      Delete: {
+        Objects: batch.map((key) => ({ Key: key })),
+        Quiet: false,
+      },
+    });
+
+    const response = await s3Client.send(command);
+    deletedCount += response.Deleted?.length || 0;
+
+    if (response.Errors && response.Errors.length > 0) {
+      console.error("Some deletions failed:");
+      response.Errors.forEach((error) => {
+        console.error(`  - ${error.Key}: ${error.Message}`);
       });
+    }
+  }
 
-      const response = await s3Client.send(command);
-      deletedCount += response.Deleted?.length || 0;
+  return deletedCount;
+}
 
-      if (response.Errors && response.Errors.length > 0) {
-        console.error("Some deletions failed:");
-        response.Errors.forEach((error) => {
-          console.error(`  - ${error.Key}: ${error.Message}`);
-        });
-      }
+async function deleteR2Images(albumId) {
+  try {
+    const imageKeys = await listR2Images(albumId);
+
+    if (imageKeys.length === 0) {
+      console.log("No images found to delete.");
+      return true;
     }
 
+    console.log(`Found ${imageKeys.length} images to delete...`);
+    const deletedCount = await deleteR2Keys(imageKeys);
+
+    const derivedKeys = (await listR2Prefix(derivativePrefix(albumId))).map(
+      (obj) => obj.Key,
+    );
+    await deleteR2Keys(derivedKeys);
+
     console.log(`✅ Successfully deleted ${deletedCount} images from R2`);
     return true;
   } catch (error) {
@@ -189,7 +524,9 @@ async function deleteR2Images(albumId) {
   }
 }
 
-async function deleteAlbum(albumId) {
+// Resolves to true once the album is gone. Pass `yes` to skip the
+// confirmation prompt.
+async function deleteAlbum(albumId, { yes = false } = {}) {
   console.log(`\n--- Deleting album: "${albumId}" ---`);
 
   const existingMetadata = await getKvMetadata(albumId);
@@ -197,7 +534,7 @@ async function deleteAlbum(albumId) {
 
   if (!existingMetadata && existingImages.length === 0) {
     console.log("Album not found (no metadata or images exist).");
-    return;
+    return false;
   }
 
   console.log("\n⚠️  ALBUM DELETION SUMMARY:");
@@ -208,136 +545,1158 @@ async function deleteAlbum(albumId) {
   }
   console.log(`  - Images in R2: ${existingImages.length}`);
 
-  const { confirmDelete } = await inquirer.prompt({
-    type: "confirm",
-    name: "confirmDelete",
-    message: `Are you ABSOLUTELY SURE you want to delete this album? This action cannot be undone!`,
-    default: false,
-  });
+  const { confirmDelete } = yes
+    ? { confirmDelete: true }
+    : await inquirer.prompt({
+        type: "confirm",
+        name: "confirmDelete",
+        message: `Are you ABSOLUTELY SURE you want to delete this album? This action cannot be undone!`,
+        default: false,
+      });
 
   if (!confirmDelete) {
     console.log("Deletion cancelled.");
-    return;
+    return false;
   }
 
   // Delete R2 images first
-  if (existingImages.length > 0) {
-    await deleteR2Images(albumId);
+  if (existingImages.length > 0 && !(await deleteR2Images(albumId))) {
+    return false;
   }
 
   // Delete KV metadata
-  if (existingMetadata) {
-    await deleteKvMetadata(albumId);
+  if (existingMetadata && !(await deleteKvMetadata(albumId))) {
+    return false;
   }
 
   console.log(`\n✅ Album "${albumId}" has been completely deleted.`);
+  return true;
 }
 
-async function manageAlbum(albumId) {
-  console.log(`\n--- Working with album: "${albumId}" ---`);
-
-  // Handle KV metadata
-  const { manageMetadata } = await inquirer.prompt({
-    type: "confirm",
-    name: "manageMetadata",
-    message: "Would you like to update/add KV metadata for this album?",
-    default: true,
-  });
+// Moves everything in `fromId` into `toId`: its originals and derivatives
+// are copied server-side, its manifest entries, photo captions, selections
+// and collection memberships follow, and `redirect:<fromId>` is left behind
+// for the API. If `toId` already has a record it keeps its settings and
+// gains `fromId`'s captions (and cover, if it has none). Callers check that
+// no filenames clash.
+async function transferAlbum(fromId, toId) {
+  const { CopyObjectCommand } = await import("@aws-sdk/client-s3");
+  const [album, target, manifest, originals, derived] = await Promise.all([
+    getKvMetadata(fromId),
+    getKvMetadata(toId),
+    getManifest(fromId),
+    listR2Prefix(`${fromId}/`),
+    listR2Prefix(derivativePrefix(fromId)),
+  ]);
+  const rekey = (key) =>
+    key.startsWith(`${fromId}/`)
+      ? `${toId}/${key.slice(fromId.length + 1)}`
+      : key.replace(derivativePrefix(fromId), derivativePrefix(toId));
+
+  const objects = [...originals, ...derived];
+  console.log(`Copying ${objects.length} objects to ${toId}/...`);
+  await mapConcurrent(objects, 8, (obj) =>
+    withRetry(() =>
+      s3Client.send(
+        new CopyObjectCommand({
+          Bucket: BUCKET_NAME,
+          Key: rekey(obj.Key),
+          CopySource: copySource(obj.Key),
+        }),
+      ),
+    ),
+  );
 
-  if (manageMetadata) {
-    console.log("\n--- Fetching existing metadata ---");
-    const existingMetadata = await getKvMetadata(albumId);
+  if (
+    !(await writeManifest(
+      toId,
+      (manifest?.images || []).map((entry) => ({
+        ...entry,
+        key: rekey(entry.key),
+      })),
+    ))
+  ) {
+    throw new Error(`Could not write the manifest for "${toId}"`);
+  }
 
-    if (existingMetadata) {
-      console.log("Current metadata:");
-      console.log(JSON.stringify(existingMetadata, null, 2));
-    } else {
-      console.log("No existing metadata found.");
+  if (album) {
+    const cover = album.cover_key && rekey(album.cover_key);
+    const photos = [...(target?.photos || []), ...(album.photos || [])];
+    const metadata = target
+      ? {
+          ...target,
+          cover_key: target.cover_key || cover,
+          ...(photos.length && { photos }),
+        }
+      : { ...album, cover_key: cover };
+    if (!(await updateKvMetadata(toId, metadata))) {
+      throw new Error(`Could not save album:${toId}`);
     }
+  }
 
-    // Get existing R2 images for cover selection
-    const existingImages = await listR2Images(albumId);
-    const imageFilenames = existingImages.map((key) =>
-      key.replace(`${albumId}/`, ""),
+  // A visitor who sent selections to both albums keeps one, with every photo.
+  for (const kvKey of await listKvKeys(selectionKeyPrefix(fromId))) {
+    const submission = await getKvJson(kvKey);
+    const newKey = kvKey.replace(
+      selectionKeyPrefix(fromId),
+      selectionKeyPrefix(toId),
+    );
+    const existing = await getKvJson(newKey);
+    await putKvJson(
+      newKey,
+      existing
+        ? {
+            ...existing,
+            files: [...new Set([...existing.files, ...submission.files])],
+          }
+        : submission,
     );
+  }
 
-    const metadataQuestions = [
-      {
-        type: "input",
-        name: "title",
-        message: "Album title:",
-        default: existingMetadata?.title || albumId.replace(/-/g, " "),
-      },
-      {
-        type: "input",
-        name: "description",
-        message: "Album description:",
-        default: existingMetadata?.description || "",
-      },
-    ];
+  for (const kvKey of await listKvKeys("collection:")) {
+    const collection = await getKvJson(kvKey);
+    if (!collection?.albums?.includes(fromId)) continue;
+    await putKvJson(kvKey, {
+      ...collection,
+      albums: [
+        ...new Set(
+          collection.albums.map((albumId) =>
+            albumId === fromId ? toId : albumId,
+          ),
+        ),
+      ],
+    });
+  }
 
-    // Add cover selection if images exist
-    if (imageFilenames.length > 0) {
-      metadataQuestions.push({
-        type: "list",
-        name: "coverImage",
-        message: "Select cover image:",
-        choices: imageFilenames.map((filename) => ({
-          name: filename,
-          value: `${albumId}/${filename}`,
-        })),
-        default: existingMetadata?.cover_key,
-      });
-    } else {
-      metadataQuestions.push({
-        type: "input",
-        name: "coverImage",
-        message: "Cover image key (format: album-id/filename.jpg):",
-        default: existingMetadata?.cover_key || `${albumId}/cover.jpg`,
-      });
+  // Earlier redirects to `fromId` now skip straight to `toId`, and `toId`
+  // is a real album again if it was ever renamed away.
+  for (const kvKey of await listKvKeys("redirect:")) {
+    if ((await getKvJson(kvKey))?.album === fromId) {
+      await putKvJson(kvKey, { album: toId });
     }
+  }
+  await deleteKvKey(`redirect:${toId}`);
+  await putKvJson(`redirect:${fromId}`, { album: toId });
 
-    metadataQuestions.push(
-      {
-        type: "confirm",
-        name: "allowDownloads",
-        message: "Allow downloads for this album?",
-        default: existingMetadata?.allow_downloads ?? true,
-      },
-      {
-        type: "confirm",
-        name: "private",
-        message: "Make this album private?",
-        default: existingMetadata?.private ?? false,
-      },
-    );
+  if (objects.length > 0) {
+    await deleteR2Keys(objects.map((obj) => obj.Key));
+  }
+  if (!(await deleteKvMetadata(fromId))) {
+    throw new Error(`Could not delete the KV records for "${fromId}"`);
+  }
+  return { from: fromId, to: toId, objects: objects.length };
+}
 
-    const metadata = await inquirer.prompt(metadataQuestions);
+async function renameAlbum(oldId, newId) {
+  console.log(`\n--- Renaming album: "${oldId}" to "${newId}" ---`);
+  if (!(await getKvMetadata(oldId))) {
+    throw new Error(`Album "${oldId}" not found`);
+  }
+  if (
+    (await getKvMetadata(newId)) ||
+    (await listR2Prefix(`${newId}/`)).length > 0
+  ) {
+    throw new Error(`Album "${newId}" already exists; use merge instead`);
+  }
 
-    const kvMetadata = {
-      title: metadata.title,
-      description: metadata.description,
-      cover_key: metadata.coverImage,
-      allow_downloads: metadata.allowDownloads,
-      private: metadata.private,
-    };
+  const result = await transferAlbum(oldId, newId);
+  console.log(`\n✅ Album "${oldId}" is now "${newId}".`);
+  return result;
+}
 
-    console.log("\nMetadata to be saved:");
-    console.log(JSON.stringify(kvMetadata, null, 2));
+// Moves `sourceId`'s photos into `targetId` and deletes `sourceId`. Photos
+// with the same filename in both would overwrite each other, so they have
+// to be renamed first.
+async function mergeAlbums(sourceId, targetId) {
+  console.log(`\n--- Merging album: "${sourceId}" into "${targetId}" ---`);
+  const [source, target, sourceImages, targetImages] = await Promise.all([
+    getKvMetadata(sourceId),
+    getKvMetadata(targetId),
+    listR2Objects(sourceId),
+    listR2Objects(targetId),
+  ]);
+  if (!source) throw new Error(`Album "${sourceId}" not found`);
+  if (!target) throw new Error(`Album "${targetId}" not found`);
+
+  const targetFiles = new Set(
+    targetImages.map((obj) => path.basename(obj.key)),
+  );
+  const clashes = sourceImages
+    .map((obj) => path.basename(obj.key))
+    .filter((file) => targetFiles.has(file));
+  if (clashes.length > 0) {
+    throw new Error(
+      `Both albums have ${clashes.join(", ")}; rename ${clashes.length === 1 ? "it" : "them"} in one album first`,
+    );
+  }
 
-    const { confirmKv } = await inquirer.prompt({
-      type: "confirm",
-      name: "confirmKv",
-      message: "Save this metadata to KV store?",
-      default: true,
-    });
+  const result = await transferAlbum(sourceId, targetId);
+  console.log(`\n✅ Merged "${sourceId}" into "${targetId}".`);
+  return result;
+}
 
-    if (confirmKv) {
-      await updateKvMetadata(albumId, kvMetadata);
-    }
+// Describes an export: `{ version, exported_at, albums, collections }`, where
+// each album is `{ id, album, manifest, selections, files }` and each file
+// `{ file, size, md5, crc32 }`. Originals sit next to it in `<albumId>/`.
+const BACKUP_FILENAME = "backup.json";
+
+// Downloads each album's originals and KV records into `outPath`, a
+// directory or (when it's named .tar, .tar.gz or .tgz) a tarball. Downloads
+// are checked against the MD5 recorded at upload.
+async function exportAlbums(albumIds, outPath, { collections = false } = {}) {
+  const { GetObjectCommand } = await import("@aws-sdk/client-s3");
+  const tarball = isTarball(outPath);
+  if (!tarball && (await fs.readdir(outPath).catch(() => [])).length > 0) {
+    throw new Error(`"${outPath}" isn't empty`);
   }
+  const dir = tarball
+    ? await fs.mkdtemp(path.join(os.tmpdir(), "digifilm-"))
+    : outPath;
+  const backup = {
+    version: 1,
+    exported_at: new Date().toISOString(),
+    albums: [],
+  };
+  let failed = 0;
 
-  // Handle image uploads
+  try {
+    for (const albumId of albumIds) {
+      console.log(`\n--- Exporting album: "${albumId}" ---`);
+      const [album, manifest, objects, selectionKeys] = await Promise.all([
+        getKvMetadata(albumId),
+        getManifest(albumId),
+        listR2Objects(albumId),
+        listKvKeys(selectionKeyPrefix(albumId)),
+      ]);
+      if (!album && objects.length === 0) {
+        throw new Error(`Album "${albumId}" not found`);
+      }
+      const manifestEntries = new Map(
+        (manifest?.images || []).map((entry) => [entry.key, entry]),
+      );
+      await fs.mkdir(path.join(dir, albumId), { recursive: true });
+
+      const progress = createProgressBar(objects.length);
+      const files = await mapConcurrent(
+        objects,
+        UPLOAD_CONCURRENCY,
+        async (obj) => {
+          const filename = path.basename(obj.key);
+          progress.start(filename);
+          try {
+            const response = await withRetry(() =>
+              s3Client.send(
+                new GetObjectCommand({ Bucket: BUCKET_NAME, Key: obj.key }),
+              ),
+            );
+            // Streamed to disk, checksumming as it goes, so large originals
+            // aren't held in memory.
+            const filePath = path.join(dir, albumId, filename);
+            const hash = crypto.createHash("md5");
+            let crc32 = 0;
+            let size = 0;
+            await pipeline(
+              response.Body,
+              async function* (source) {
+                for await (const chunk of source) {
+                  hash.update(chunk);
+                  crc32 = zlib.crc32(chunk, crc32);
+                  size += chunk.length;
+                  progress.addBytes(chunk.length);
+                  yield chunk;
+                }
+              },
+              createWriteStream(filePath),
+            );
+            const md5 = hash.digest("hex");
+            const expected =
+              manifestEntries.get(obj.key)?.md5 ?? md5FromEtag(obj.etag);
+            if (expected && md5 !== expected) {
+              await fs.rm(filePath, { force: true });
+              throw new Error(`checksum mismatch (expected ${expected})`);
+            }
+            return { file: filename, size, md5, crc32 };
+          } catch (error) {
+            progress.log(
+              `  ❌ ERROR: Failed to export ${obj.key}:`,
+              error.message,
+            );
+            failed++;
+            return null;
+          } finally {
+            progress.complete();
+          }
+        },
+      );
+      progress.stop();
+
+      const selections = {};
+      for (const kvKey of selectionKeys) {
+        selections[kvKey.slice(selectionKeyPrefix(albumId).length)] =
+          await getKvJson(kvKey);
+      }
+      const exported = files.filter(Boolean);
+      backup.albums.push({
+        id: albumId,
+        album,
+        manifest,
+        selections,
+        files: exported,
+      });
+      console.log(`✅ Exported ${exported.length} of ${objects.length} images`);
+    }
+
+    if (collections) {
+      backup.collections = {};
+      for (const kvKey of await listKvKeys("collection:")) {
+        backup.collections[kvKey.replace("collection:", "")] =
+          await getKvJson(kvKey);
+      }
+    }
+
+    await fs.writeFile(
+      path.join(dir, BACKUP_FILENAME),
+      `${JSON.stringify(backup, null, 2)}\n`,
+    );
+    if (tarball) await packTar(dir, outPath);
+  } finally {
+    if (tarball) await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  const count = backup.albums.length;
+  console.log(
+    `\n✅ Backed up ${count} album${count === 1 ? "" : "s"} to ${outPath}`,
+  );
+  return {
+    path: outPath,
+    albums: backup.albums.map((entry) => ({
+      id: entry.id,
+      files: entry.files.length,
+    })),
+    failed,
+  };
+}
+
+// Restores one album from an unpacked backup as `albumId`, through the
+// normal upload path. Files are checked against backup.json before they go
+// up, and the MD5s in the resulting manifest after.
+async function importAlbum(dir, entry, albumId) {
+  console.log(
+    `\n--- Importing album: "${entry.id}"${albumId === entry.id ? "" : ` as "${albumId}"`} ---`,
+  );
+  if (
+    (await getKvMetadata(albumId)) ||
+    (await listR2Prefix(`${albumId}/`)).length > 0
+  ) {
+    throw new Error(
+      `Album "${albumId}" already exists; delete it or import with --as`,
+    );
+  }
+
+  const albumDir = path.join(dir, entry.id);
+  const corrupt = [];
+  for (const file of entry.files) {
+    const checksums = await checksumFile(path.join(albumDir, file.file)).catch(
+      () => null,
+    );
+    if (checksums?.md5 !== file.md5) corrupt.push(file.file);
+  }
+  if (corrupt.length > 0) {
+    throw new Error(
+      `${corrupt.join(", ")} ${corrupt.length === 1 ? "is missing or doesn't" : "are missing or don't"} match ${BACKUP_FILENAME}`,
+    );
+  }
+
+  if (entry.album) {
+    const coverKey = entry.album.cover_key;
+    const metadata = {
+      ...entry.album,
+      cover_key: coverKey?.startsWith(`${entry.id}/`)
+        ? `${albumId}/${coverKey.slice(entry.id.length + 1)}`
+        : coverKey,
+    };
+    if (!(await updateKvMetadata(albumId, metadata))) {
+      throw new Error(`Could not save album:${albumId}`);
+    }
+  }
+  for (const [submitter, submission] of Object.entries(
+    entry.selections || {},
+  )) {
+    await putKvJson(`${selectionKeyPrefix(albumId)}${submitter}`, submission);
+  }
+
+  // The album's metadata policy was applied when the originals were first
+  // uploaded, so they go back up untouched.
+  const result = await uploadFolder(albumId, albumDir, {
+    plan: {
+      policy: "keep",
+      watermark: albumWatermark(entry.album),
+      toUpload: entry.files.map((file) => ({
+        filename: file.file,
+        reason: "new",
+      })),
+      unchanged: [],
+      toPrune: [],
+    },
+  });
+
+  const uploaded = new Map(
+    ((await getManifest(albumId))?.images || []).map((image) => [
+      path.basename(image.key),
+      image.md5,
+    ]),
+  );
+  const mismatched = entry.files
+    .filter((file) => uploaded.has(file.file))
+    .filter((file) => uploaded.get(file.file) !== file.md5)
+    .map((file) => file.file);
+  if (mismatched.length > 0) {
+    console.error(
+      `❌ These images in R2 don't match ${BACKUP_FILENAME}: ${mismatched.join(", ")}`,
+    );
+  }
+  return {
+    from: entry.id,
+    id: albumId,
+    uploaded: result.uploaded,
+    failed: result.failed,
+    mismatched,
+  };
+}
+
+// Restores an `export` directory or tarball into the configured bucket and
+// namespace. `as` renames the album of a single-album backup.
+async function importBackup(inPath, { as } = {}) {
+  const stats = await fs.stat(inPath).catch(() => null);
+  if (!stats) throw new Error(`"${inPath}" not found`);
+  const dir = stats.isDirectory()
+    ? inPath
+    : await fs.mkdtemp(path.join(os.tmpdir(), "digifilm-"));
+
+  try {
+    if (!stats.isDirectory()) {
+      console.log(`Extracting ${inPath}...`);
+      await extractTar(inPath, dir);
+    }
+    let backup;
+    try {
+      backup = JSON.parse(
+        await fs.readFile(path.join(dir, BACKUP_FILENAME), "utf8"),
+      );
+    } catch {
+      throw new Error(`"${inPath}" has no readable ${BACKUP_FILENAME}`);
+    }
+    if (backup.version !== 1) {
+      throw new Error(`Unsupported backup version: ${backup.version}`);
+    }
+    if (as && backup.albums.length !== 1) {
+      throw new UsageError("--as only works with single-album backups");
+    }
+
+    const albums = [];
+    for (const entry of backup.albums) {
+      albums.push(await importAlbum(dir, entry, as ?? entry.id));
+    }
+
+    // Collections that already exist are left alone.
+    for (const [collectionId, collection] of Object.entries(
+      backup.collections || {},
+    )) {
+      if (await getCollection(collectionId)) {
+        console.warn(
+          `Warning: Collection ${collectionId} already exists; not restored`,
+        );
+        continue;
+      }
+      await putKvJson(`collection:${collectionId}`, collection);
+      console.log(`✅ Restored collection:${collectionId}`);
+    }
+    if (backup.collections) await bumpCacheVersion();
+
+    console.log(
+      `\n✅ Imported ${albums.length} album${albums.length === 1 ? "" : "s"} from ${inPath}`,
+    );
+    return { albums };
+  } finally {
+    if (!stats.isDirectory()) {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+async function listAlbums() {
+  const kvKeys = await listKvKeys("album:");
+  return Promise.all(
+    kvKeys.map(async (kvKey) => {
+      const metadata = await getKvJson(kvKey);
+      return {
+        id: kvKey.replace("album:", ""),
+        title: metadata?.title,
+        date: formatAlbumDate(metadata) || undefined,
+        tags: metadata?.tags,
+        private: Boolean(metadata?.private),
+        allow_downloads: Boolean(metadata?.allow_downloads),
+        password_protected: Boolean(metadata?.password),
+      };
+    }),
+  );
+}
+
+async function showAlbum(albumId) {
+  const [metadata, images, manifest] = await Promise.all([
+    getKvMetadata(albumId),
+    listR2Images(albumId),
+    getManifest(albumId),
+  ]);
+
+  if (!metadata && images.length === 0) {
+    throw new Error(`Album "${albumId}" not found`);
+  }
+
+  return {
+    id: albumId,
+    metadata: redactMetadata(metadata),
+    imageCount: images.length,
+    manifest: manifest
+      ? { images: manifest.images.length, updated_at: manifest.updated_at }
+      : null,
+  };
+}
+
+// Existing derivatives keep whatever watermark they were made with.
+function warnIfWatermarkChanged(albumId, before, after) {
+  if (albumWatermark(before) === albumWatermark(after)) return;
+  console.warn(
+    `Warning: Run "node main.js derivatives ${albumId}" to update the watermark on existing images.`,
+  );
+}
+
+// Non-interactive counterpart to the metadata half of manageAlbum. Fields
+// left out of `changes` keep their current values.
+async function setAlbumMetadata(albumId, changes) {
+  const existingMetadata = await getKvMetadata(albumId);
+  const metadata = {
+    title: albumId.replace(/-/g, " "),
+    description: "",
+    cover_key: `${albumId}/cover.jpg`,
+    allow_downloads: true,
+    private: false,
+    ...existingMetadata,
+  };
+
+  if (changes.title !== undefined) metadata.title = changes.title;
+  if (changes.description !== undefined) {
+    metadata.description = changes.description;
+  }
+  // An empty film stock clears it, e.g. for digital albums.
+  if (changes.filmStock !== undefined) {
+    if (changes.filmStock) metadata.film_stock = changes.filmStock;
+    else delete metadata.film_stock;
+  }
+  if (changes.tags !== undefined) {
+    const tags = parseTags(changes.tags);
+    if (tags.length) metadata.tags = tags;
+    else delete metadata.tags;
+  }
+  if (changes.date !== undefined) {
+    let dates;
+    try {
+      dates = parseAlbumDate(changes.date);
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    delete metadata.date;
+    delete metadata.date_end;
+    Object.assign(metadata, dates);
+  }
+  if (changes.location !== undefined) {
+    if (changes.location) metadata.location = changes.location;
+    else delete metadata.location;
+  }
+  if (changes.cover !== undefined) {
+    metadata.cover_key = changes.cover.startsWith(`${albumId}/`)
+      ? changes.cover
+      : `${albumId}/${changes.cover}`;
+    const existingImages = await listR2Images(albumId);
+    if (!existingImages.includes(metadata.cover_key)) {
+      console.warn(
+        `Warning: Cover image ${metadata.cover_key} does not exist in R2.`,
+      );
+    }
+  }
+  if (changes.private !== undefined) metadata.private = changes.private;
+  if (changes.allowDownloads !== undefined) {
+    metadata.allow_downloads = changes.allowDownloads;
+  }
+  if (changes.allowSelections !== undefined) {
+    metadata.allow_selections = changes.allowSelections;
+  }
+  if (changes.showGps !== undefined) metadata.show_gps = changes.showGps;
+  if (changes.metadataPolicy !== undefined) {
+    if (!METADATA_POLICIES.includes(changes.metadataPolicy)) {
+      throw new UsageError(
+        `--metadata-policy must be one of: ${METADATA_POLICIES.join(", ")}`,
+      );
+    }
+    metadata.metadata_policy = changes.metadataPolicy;
+  }
+  if (changes.proof !== undefined) metadata.proof = changes.proof;
+  if (changes.watermark !== undefined) {
+    if (changes.watermark) metadata.watermark = changes.watermark;
+    else delete metadata.watermark;
+  }
+  if (changes.sort !== undefined) {
+    if (!SORT_MODES.includes(changes.sort)) {
+      throw new UsageError(`--sort must be one of: ${SORT_MODES.join(", ")}`);
+    }
+    metadata.sort = changes.sort;
+  }
+  if (changes.photos !== undefined) {
+    metadata.photos = changes.photos;
+  }
+  if (changes.password !== undefined) {
+    metadata.password = hashPassword(changes.password);
+  } else if (changes.clearPassword) {
+    delete metadata.password;
+  }
+
+  if (!(await updateKvMetadata(albumId, metadata))) {
+    throw new Error("Failed to save metadata");
+  }
+  warnIfWatermarkChanged(albumId, existingMetadata, metadata);
+  return redactMetadata(metadata);
+}
+
+// The album's image entries: the manifest's, or bare keys from R2 for albums
+// without one (which can't be sorted by date).
+async function getAlbumEntries(albumId) {
+  const manifest = await getManifest(albumId);
+  if (manifest) return manifest.images;
+  return (await listR2Images(albumId)).map((key) => ({ key }));
+}
+
+// Every photo in the album in display order, with its caption and alt text.
+async function exportPhotos(albumId) {
+  const [metadata, entries] = await Promise.all([
+    getKvMetadata(albumId),
+    getAlbumEntries(albumId),
+  ]);
+  return albumPhotoList(entries, metadata);
+}
+
+// Replaces the album's photo list with the CSV or YAML file at `filePath`,
+// switching the album to manual order unless another `sort` is given.
+async function importPhotos(albumId, filePath, { sort = "manual" } = {}) {
+  const photos = parsePhotoList(
+    await fs.readFile(filePath, "utf8"),
+    photoListFormat(filePath),
+  );
+  const entries = await getAlbumEntries(albumId);
+  const known = new Set(entries.map((entry) => path.basename(entry.key)));
+  const missing = photos
+    .map((photo) => photo.file)
+    .filter((file) => !known.has(file));
+  for (const file of missing) {
+    console.warn(`Warning: ${file} is not in album "${albumId}" (yet).`);
+  }
+
+  await setAlbumMetadata(albumId, { sort, photos });
+  return { id: albumId, sort, photos: photos.length, missing };
+}
+
+// Collections are `collection:<id>` records grouping albums for the
+// galleries page: `{ title, description, cover_key, albums }`, where
+// `albums` is an ordered list of album IDs.
+async function getCollection(collectionId) {
+  return getKvJson(`collection:${collectionId}`);
+}
+
+async function listCollections() {
+  const kvKeys = await listKvKeys("collection:");
+  return Promise.all(
+    kvKeys.map(async (kvKey) => {
+      const collection = await getCollection(kvKey.replace("collection:", ""));
+      return {
+        id: kvKey.replace("collection:", ""),
+        title: collection?.title,
+        albums: collection?.albums?.length ?? 0,
+      };
+    }),
+  );
+}
+
+async function showCollection(collectionId) {
+  const collection = await getCollection(collectionId);
+  if (!collection) throw new Error(`Collection "${collectionId}" not found`);
+  return { id: collectionId, ...collection };
+}
+
+// Creates or updates a collection. `albums` replaces its album list, then
+// `add` appends to it and `remove` takes albums out; fields left out of
+// `changes` keep their current values.
+async function setCollection(collectionId, changes) {
+  const collection = {
+    title: collectionId.replace(/-/g, " "),
+    description: "",
+    albums: [],
+    ...(await getCollection(collectionId)),
+  };
+
+  if (changes.title !== undefined) collection.title = changes.title;
+  if (changes.description !== undefined) {
+    collection.description = changes.description;
+  }
+  if (changes.albums !== undefined) collection.albums = changes.albums;
+  for (const albumId of changes.add || []) {
+    if (!collection.albums.includes(albumId)) collection.albums.push(albumId);
+  }
+  if (changes.remove) {
+    collection.albums = collection.albums.filter(
+      (albumId) => !changes.remove.includes(albumId),
+    );
+  }
+
+  // An empty cover falls back to the first album's.
+  if (changes.cover !== undefined) {
+    if (!changes.cover) {
+      delete collection.cover_key;
+    } else {
+      const [albumId, ...rest] = changes.cover.split("/");
+      if (!rest.length) {
+        throw new UsageError("--cover must be <albumId>/<filename>");
+      }
+      if (!(await listR2Images(albumId)).includes(changes.cover)) {
+        console.warn(
+          `Warning: Cover image ${changes.cover} does not exist in R2.`,
+        );
+      }
+      collection.cover_key = changes.cover;
+    }
+  }
+  const coverAlbumId = collection.cover_key?.split("/")[0];
+  if (coverAlbumId && !collection.albums.includes(coverAlbumId)) {
+    console.warn(
+      `Warning: The cover's album "${coverAlbumId}" isn't in this collection, so the first album's cover will be shown.`,
+    );
+  }
+
+  const added = [...(changes.albums || []), ...(changes.add || [])];
+  const metadata = await Promise.all(added.map(getKvMetadata));
+  added.forEach((albumId, index) => {
+    if (!metadata[index]) {
+      console.warn(`Warning: Album "${albumId}" does not exist (yet).`);
+    } else if (metadata[index].private) {
+      console.warn(
+        `Warning: Album "${albumId}" is private, so it won't be shown.`,
+      );
+    }
+  });
+
+  await putKvJson(`collection:${collectionId}`, collection);
+  await bumpCacheVersion();
+  console.log(`✅ Saved collection:${collectionId}`);
+  return { id: collectionId, ...collection };
+}
+
+async function deleteCollection(collectionId) {
+  if (!(await getCollection(collectionId))) {
+    throw new Error(`Collection "${collectionId}" not found`);
+  }
+  await deleteKvKey(`collection:${collectionId}`);
+  await bumpCacheVersion();
+  console.log(`✅ Deleted collection:${collectionId}`);
+  return { id: collectionId, deleted: true };
+}
+
+// Visitors' submitted selections, oldest first, optionally only those made
+// under the name or email `from`.
+async function getSelections(albumId, { from } = {}) {
+  const kvKeys = await listKvKeys(selectionKeyPrefix(albumId));
+  const submissions = (await Promise.all(kvKeys.map(getKvJson)))
+    .filter(Boolean)
+    .filter((submission) => !from || submittedBy(submission, from))
+    .sort((a, b) => a.submitted_at.localeCompare(b.submitted_at));
+  if (from && submissions.length === 0) {
+    throw new Error(`No selection from "${from}" in album "${albumId}"`);
+  }
+  return submissions;
+}
+
+const describePhoto = (photo, index) =>
+  `${index + 1}. ${photo.file}${photo.caption ? ` — ${photo.caption}` : ""}`;
+
+// Interactive counterpart to `photos import`: change the sort mode, move
+// photos (which switches to manual order) and edit captions, then save.
+async function arrangePhotos(albumId) {
+  console.log(`\n--- Ordering photos in album: "${albumId}" ---`);
+  const [metadata, entries] = await Promise.all([
+    getKvMetadata(albumId),
+    getAlbumEntries(albumId),
+  ]);
+  if (entries.length === 0) {
+    console.log("This album has no photos yet.");
+    return;
+  }
+
+  let sort = metadata?.sort ?? "filename";
+  let photos = albumPhotoList(entries, metadata);
+  const pickPhoto = async (message) =>
+    (
+      await inquirer.prompt({
+        type: "list",
+        name: "index",
+        message,
+        pageSize: 15,
+        choices: photos.map((photo, index) => ({
+          name: describePhoto(photo, index),
+          value: index,
+        })),
+      })
+    ).index;
+
+  while (true) {
+    const { action } = await inquirer.prompt({
+      type: "list",
+      name: "action",
+      message: `${photos.length} photos, sorted by ${sort}. What next?`,
+      choices: [
+        { name: "Show current order", value: "show" },
+        { name: "Change sort mode", value: "sort" },
+        { name: "Move a photo", value: "move" },
+        { name: "Edit a caption or alt text", value: "caption" },
+        {
+          name: "Import order and captions from a CSV/YAML file",
+          value: "import",
+        },
+        { name: "Save and exit", value: "save" },
+        { name: "Exit without saving", value: "cancel" },
+      ],
+    });
+
+    if (action === "show") {
+      photos.forEach((photo, index) =>
+        console.log(describePhoto(photo, index)),
+      );
+    } else if (action === "sort") {
+      ({ sort } = await inquirer.prompt({
+        type: "list",
+        name: "sort",
+        message: "Sort photos by:",
+        choices: [
+          { name: "Filename", value: "filename" },
+          { name: "Date taken", value: "date" },
+          { name: "Manual order", value: "manual" },
+        ],
+        default: sort,
+      }));
+      photos = albumPhotoList(entries, { sort, photos });
+    } else if (action === "move") {
+      const from = await pickPhoto("Photo to move:");
+      const { position } = await inquirer.prompt({
+        type: "number",
+        name: "position",
+        message: `New position (1-${photos.length}):`,
+        validate: (input) =>
+          (Number.isInteger(input) && input >= 1 && input <= photos.length) ||
+          `Enter a number from 1 to ${photos.length}`,
+      });
+      const [photo] = photos.splice(from, 1);
+      photos.splice(position - 1, 0, photo);
+      sort = "manual";
+    } else if (action === "caption") {
+      const index = await pickPhoto("Photo to edit:");
+      const answers = await inquirer.prompt([
+        {
+          type: "input",
+          name: "caption",
+          message: "Caption (blank for none):",
+          default: photos[index].caption || "",
+        },
+        {
+          type: "input",
+          name: "alt",
+          message: "Alt text (blank to use the caption):",
+          default: photos[index].alt || "",
+        },
+      ]);
+      photos[index] = { file: photos[index].file };
+      if (answers.caption.trim())
+        photos[index].caption = answers.caption.trim();
+      if (answers.alt.trim()) photos[index].alt = answers.alt.trim();
+    } else if (action === "import") {
+      const { filePath } = await inquirer.prompt({
+        type: "input",
+        name: "filePath",
+        message: "Path to the CSV or YAML file:",
+        filter: (input) => input.trim(),
+      });
+      try {
+        const imported = parsePhotoList(
+          await fs.readFile(filePath, "utf8"),
+          photoListFormat(filePath),
+        );
+        sort = "manual";
+        photos = albumPhotoList(entries, { sort, photos: imported });
+        console.log(`Imported ${imported.length} photos.`);
+      } catch (error) {
+        console.error(`❌ Could not import ${filePath}: ${error.message}`);
+      }
+    } else if (action === "save") {
+      await setAlbumMetadata(albumId, { sort, photos });
+      return;
+    } else {
+      console.log("Order and captions left unchanged.");
+      return;
+    }
+  }
+}
+
+async function manageAlbum(albumId) {
+  console.log(`\n--- Working with album: "${albumId}" ---`);
+
+  // Handle KV metadata
+  const { manageMetadata } = await inquirer.prompt({
+    type: "confirm",
+    name: "manageMetadata",
+    message: "Would you like to update/add KV metadata for this album?",
+    default: true,
+  });
+
+  if (manageMetadata) {
+    console.log("\n--- Fetching existing metadata ---");
+    const existingMetadata = await getKvMetadata(albumId);
+
+    if (existingMetadata) {
+      console.log("Current metadata:");
+      console.log(JSON.stringify(redactMetadata(existingMetadata), null, 2));
+    } else {
+      console.log("No existing metadata found.");
+    }
+
+    // Get existing R2 images for cover selection
+    const existingImages = await listR2Images(albumId);
+    const imageFilenames = existingImages.map((key) =>
+      key.replace(`${albumId}/`, ""),
+    );
+
+    const metadataQuestions = [
+      {
+        type: "input",
+        name: "title",
+        message: "Album title:",
+        default: existingMetadata?.title || albumId.replace(/-/g, " "),
+      },
+      {
+        type: "input",
+        name: "description",
+        message: "Album description:",
+        default: existingMetadata?.description || "",
+      },
+      {
+        type: "input",
+        name: "filmStock",
+        message: "Film stock (leave blank for digital):",
+        default: existingMetadata?.film_stock || "",
+      },
+      {
+        type: "input",
+        name: "tags",
+        message: "Tags (comma-separated):",
+        default: existingMetadata?.tags?.join(", ") || "",
+      },
+      {
+        type: "input",
+        name: "date",
+        message: "Date or date range (e.g. 2025-06 or 2025-06-01..2025-06-14):",
+        default: formatAlbumDate(existingMetadata),
+        validate: (input) => {
+          try {
+            parseAlbumDate(input);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        },
+      },
+      {
+        type: "input",
+        name: "location",
+        message: "Location:",
+        default: existingMetadata?.location || "",
+      },
+    ];
+
+    // Add cover selection if images exist
+    if (imageFilenames.length > 0) {
+      metadataQuestions.push({
+        type: "list",
+        name: "coverImage",
+        message: "Select cover image:",
+        choices: imageFilenames.map((filename) => ({
+          name: filename,
+          value: `${albumId}/${filename}`,
+        })),
+        default: existingMetadata?.cover_key,
+      });
+    } else {
+      metadataQuestions.push({
+        type: "input",
+        name: "coverImage",
+        message: "Cover image key (format: album-id/filename.jpg):",
+        default: existingMetadata?.cover_key || `${albumId}/cover.jpg`,
+      });
+    }
+
+    metadataQuestions.push(
+      {
+        type: "confirm",
+        name: "allowDownloads",
+        message: "Allow downloads for this album?",
+        default: existingMetadata?.allow_downloads ?? true,
+      },
+      {
+        type: "confirm",
+        name: "private",
+        message: "Make this album private?",
+        default: existingMetadata?.private ?? false,
+      },
+      {
+        type: "confirm",
+        name: "proof",
+        message:
+          "Is this a client proof album (watermarked, no original downloads)?",
+        default: existingMetadata?.proof ?? false,
+      },
+      {
+        type: "input",
+        name: "watermark",
+        message: "Watermark text:",
+        default: existingMetadata?.watermark || "PROOF",
+        when: (answers) => answers.proof,
+      },
+      {
+        type: "confirm",
+        name: "allowSelections",
+        message: "Let visitors send you a selection of their favourite photos?",
+        default: (answers) =>
+          existingMetadata?.allow_selections ?? answers.proof,
+      },
+      {
+        type: "confirm",
+        name: "showGps",
+        message: "Show where each photo was taken (EXIF GPS) on the site?",
+        default: existingMetadata?.show_gps ?? false,
+      },
+      {
+        type: "list",
+        name: "metadataPolicy",
+        message: "Photo metadata to publish with new uploads:",
+        choices: [
+          { name: "Everything (upload files as-is)", value: "keep" },
+          {
+            name: "Camera and exposure only (no GPS or serial numbers)",
+            value: "whitelist",
+          },
+          { name: "None", value: "strip" },
+        ],
+        default: (answers) =>
+          existingMetadata?.metadata_policy ??
+          albumMetadataPolicy({ private: answers.private }),
+      },
+      {
+        type: "list",
+        name: "passwordAction",
+        message: "Password protection:",
+        choices: existingMetadata?.password
+          ? [
+              { name: "Keep current password", value: "keep" },
+              { name: "Set a new password", value: "set" },
+              { name: "Remove password", value: "clear" },
+            ]
+          : [
+              { name: "No password", value: "keep" },
+              { name: "Set a password", value: "set" },
+            ],
+        default: "keep",
+      },
+      {
+        type: "password",
+        name: "password",
+        message: "Album password:",
+        mask: "*",
+        when: (answers) => answers.passwordAction === "set",
+        validate: (input) => input.length > 0 || "Password cannot be empty",
+      },
+    );
+
+    const metadata = await inquirer.prompt(metadataQuestions);
+
+    // Keep any fields this wizard doesn't ask about (e.g. the password hash).
+    const kvMetadata = {
+      ...existingMetadata,
+      title: metadata.title,
+      description: metadata.description,
+      cover_key: metadata.coverImage,
+      allow_downloads: metadata.allowDownloads,
+      private: metadata.private,
+      proof: metadata.proof,
+      allow_selections: metadata.allowSelections,
+      show_gps: metadata.showGps,
+    };
+    if (metadata.proof) kvMetadata.watermark = metadata.watermark.trim();
+
+    // Albums on the default policy follow their privacy setting.
+    if (
+      metadata.metadataPolicy ===
+      albumMetadataPolicy({ private: metadata.private })
+    ) {
+      delete kvMetadata.metadata_policy;
+    } else {
+      kvMetadata.metadata_policy = metadata.metadataPolicy;
+    }
+
+    if (metadata.filmStock.trim()) {
+      kvMetadata.film_stock = metadata.filmStock.trim();
+    } else {
+      delete kvMetadata.film_stock;
+    }
+
+    const tags = parseTags(metadata.tags);
+    if (tags.length) kvMetadata.tags = tags;
+    else delete kvMetadata.tags;
+
+    delete kvMetadata.date;
+    delete kvMetadata.date_end;
+    Object.assign(kvMetadata, parseAlbumDate(metadata.date));
+
+    if (metadata.location.trim()) {
+      kvMetadata.location = metadata.location.trim();
+    } else {
+      delete kvMetadata.location;
+    }
+
+    if (metadata.passwordAction === "set") {
+      kvMetadata.password = hashPassword(metadata.password);
+    } else if (metadata.passwordAction === "clear") {
+      delete kvMetadata.password;
+    }
+
+    console.log("\nMetadata to be saved:");
+    console.log(JSON.stringify(redactMetadata(kvMetadata), null, 2));
+
+    const { confirmKv } = await inquirer.prompt({
+      type: "confirm",
+      name: "confirmKv",
+      message: "Save this metadata to KV store?",
+      default: true,
+    });
+
+    if (confirmKv && (await updateKvMetadata(albumId, kvMetadata))) {
+      warnIfWatermarkChanged(albumId, existingMetadata, kvMetadata);
+    }
+  }
+
+  // Handle image uploads
   const { uploadImages } = await inquirer.prompt({
     type: "confirm",
     name: "uploadImages",
@@ -345,143 +1704,1008 @@ async function manageAlbum(albumId) {
     default: true,
   });
 
-  if (!uploadImages) {
-    console.log("Done!");
-    return;
+  if (!uploadImages) {
+    console.log("Done!");
+    return;
+  }
+
+  // Get folder selection
+  const { localBaseDir } = await inquirer.prompt({
+    type: "input",
+    name: "localBaseDir",
+    message: "Enter the BASE path where your local image folders are located:",
+    default: path.resolve(process.cwd(), "./local-albums"),
+    validate: async (input) => {
+      try {
+        const stats = await fs.stat(input);
+        return stats.isDirectory() || "Please enter a valid directory path.";
+      } catch {
+        return "Directory does not exist or is not accessible.";
+      }
+    },
+  });
+
+  const allEntriesInBaseDir = await glob("*", {
+    cwd: localBaseDir,
+    dot: false,
+    maxDepth: 1,
+    absolute: false,
+  });
+  const albumFolders = [];
+  for (const entry of allEntriesInBaseDir) {
+    const entryPath = path.join(localBaseDir, entry);
+    const stats = await fs.stat(entryPath);
+    if (stats.isDirectory()) {
+      albumFolders.push(entry);
+    }
+  }
+
+  if (albumFolders.length === 0) {
+    console.error(`No folders found in "${localBaseDir}".`);
+    return;
+  }
+
+  const { selectedFolder } = await inquirer.prompt({
+    type: "list",
+    name: "selectedFolder",
+    message: "Select the folder containing images to upload:",
+    choices: albumFolders,
+  });
+
+  const localFolderPath = path.join(localBaseDir, selectedFolder);
+
+  console.log(
+    `\nUploading images from "${selectedFolder}" to album "${albumId}"`,
+  );
+  console.log(`Local Path: ${localFolderPath}`);
+  console.log("-----------------------------------");
+
+  const { sync, prune } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "sync",
+      message: "Upload mode:",
+      choices: [
+        { name: "Sync (only upload new or changed files)", value: true },
+        { name: "Upload everything", value: false },
+      ],
+      default: true,
+    },
+    {
+      type: "confirm",
+      name: "prune",
+      message: "Delete images from R2 that no longer exist locally?",
+      default: false,
+      when: (answers) => answers.sync,
+    },
+  ]);
+
+  const plan = await planUpload(albumId, localFolderPath, { sync, prune });
+  printUploadPlan(plan);
+
+  if (plan.toUpload.length === 0 && plan.toPrune.length === 0) {
+    console.log("Nothing to do.");
+    return;
+  }
+
+  const { confirmUpload } = await inquirer.prompt({
+    type: "confirm",
+    name: "confirmUpload",
+    message: `Proceed with uploading images to R2 under prefix "${albumId}"?`,
+    default: true,
+  });
+
+  if (!confirmUpload) {
+    console.log("Upload cancelled.");
+    return;
+  }
+
+  await uploadFolder(albumId, localFolderPath, { plan });
+}
+
+// An image's dimensions as displayed. Derivatives are rotated upright from
+// the EXIF Orientation, and orientations 5-8 turn the image on its side.
+function uprightSize(buffer) {
+  const { width, height, orientation } = sizeOf(buffer);
+  return orientation >= 5
+    ? { width: height, height: width }
+    : { width, height };
+}
+
+function readDimensions(buffer, filename, progress) {
+  try {
+    const { width, height } = uprightSize(buffer);
+    if (width > 0 && height > 0) return { width, height };
+    throw new Error("Could not get valid dimensions from image-size.");
+  } catch {
+    progress.log(
+      `  Warning: Could not determine dimensions for ${filename}. Using defaults.`,
+    );
+    return { width: 1200, height: 800 }; // Default landscape
+  }
+}
+
+const retryLogger = (filename, progress) => (error, attempt) =>
+  progress.log(
+    `  Retrying ${filename} after attempt ${attempt} failed: ${error.message}`,
+  );
+
+async function uploadSmallFile(
+  key,
+  filePath,
+  contentType,
+  { metadata, progress },
+) {
+  const filename = path.basename(filePath);
+  const fileBuffer = await fs.readFile(filePath);
+  const { width, height } = readDimensions(fileBuffer, filename, progress);
+  const md5 = crypto.createHash("md5").update(fileBuffer).digest("hex");
+  const crc32 = zlib.crc32(fileBuffer);
+
+  await withRetry(
+    () =>
+      s3Client.send(
+        new PutObjectCommand({
+          Bucket: BUCKET_NAME,
+          Key: key,
+          Body: fileBuffer,
+          ContentType: contentType,
+          Metadata: {
+            width: width.toString(),
+            height: height.toString(),
+            md5,
+            crc32: crc32.toString(),
+            ...metadata,
+          },
+        }),
+      ),
+    { onRetry: retryLogger(filename, progress) },
+  );
+  progress.addBytes(fileBuffer.length);
+
+  return { width, height, md5, crc32 };
+}
+
+// Uploads in MULTIPART_PART_SIZE parts read straight from disk, journalling
+// each finished part so an interrupted upload resumes at the next one.
+// Parts of a multipart upload that's never completed are kept, and billed,
+// until it's aborted.
+async function abortMultipartUpload({ key, uploadId }) {
+  const { AbortMultipartUploadCommand } = await import("@aws-sdk/client-s3");
+  try {
+    await s3Client.send(
+      new AbortMultipartUploadCommand({
+        Bucket: BUCKET_NAME,
+        Key: key,
+        UploadId: uploadId,
+      }),
+    );
+  } catch (error) {
+    if (error.name === "NoSuchUpload") return;
+    console.warn(
+      `Warning: Could not abort the multipart upload of ${key}:`,
+      error.message,
+    );
+  }
+}
+
+async function uploadMultipartFile(
+  key,
+  filePath,
+  stats,
+  contentType,
+  { journal, metadata, progress },
+) {
+  const {
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    CompleteMultipartUploadCommand,
+  } = await import("@aws-sdk/client-s3");
+  const filename = path.basename(filePath);
+  const onRetry = retryLogger(filename, progress);
+  const handle = await fs.open(filePath);
+  let state = journal.data.multipart[filename];
+
+  try {
+    const probe = Buffer.alloc(Math.min(DIMENSIONS_PROBE_BYTES, stats.size));
+    await handle.read(probe, 0, probe.length, 0);
+    const { width, height } = readDimensions(probe, filename, progress);
+    const { md5, crc32 } = await checksumFile(filePath);
+
+    if (
+      state?.key !== key ||
+      state.size !== stats.size ||
+      state.mtimeMs !== stats.mtimeMs
+    ) {
+      // The file changed since the journalled upload started.
+      if (state) await abortMultipartUpload(state);
+      const { UploadId } = await withRetry(
+        () =>
+          s3Client.send(
+            new CreateMultipartUploadCommand({
+              Bucket: BUCKET_NAME,
+              Key: key,
+              ContentType: contentType,
+              Metadata: {
+                width: width.toString(),
+                height: height.toString(),
+                md5,
+                crc32: crc32.toString(),
+                ...metadata,
+              },
+            }),
+          ),
+        { onRetry },
+      );
+      state = {
+        key,
+        uploadId: UploadId,
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        parts: [],
+      };
+      journal.data.multipart[filename] = state;
+      await journal.save();
+    }
+
+    const partCount = Math.ceil(stats.size / MULTIPART_PART_SIZE);
+    for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+      const start = (partNumber - 1) * MULTIPART_PART_SIZE;
+      const length = Math.min(MULTIPART_PART_SIZE, stats.size - start);
+      if (state.parts.some((part) => part.PartNumber === partNumber)) {
+        progress.addBytes(length);
+        continue;
+      }
+
+      const body = Buffer.alloc(length);
+      await handle.read(body, 0, length, start);
+      const { ETag } = await withRetry(
+        () =>
+          s3Client.send(
+            new UploadPartCommand({
+              Bucket: BUCKET_NAME,
+              Key: key,
+              UploadId: state.uploadId,
+              PartNumber: partNumber,
+              Body: body,
+            }),
+          ),
+        { onRetry },
+      );
+      state.parts.push({ PartNumber: partNumber, ETag });
+      await journal.save();
+      progress.addBytes(length);
+    }
+
+    await withRetry(
+      () =>
+        s3Client.send(
+          new CompleteMultipartUploadCommand({
+            Bucket: BUCKET_NAME,
+            Key: key,
+            UploadId: state.uploadId,
+            MultipartUpload: {
+              Parts: [...state.parts].sort(
+                (a, b) => a.PartNumber - b.PartNumber,
+              ),
+            },
+          }),
+        ),
+      { onRetry },
+    );
+    delete journal.data.multipart[filename];
+
+    return { width, height, md5, crc32 };
+  } catch (error) {
+    // Out of retries, so the upload won't be resumed. One that's vanished
+    // is started again by the caller.
+    if (state && error.name !== "NoSuchUpload") {
+      await abortMultipartUpload(state);
+      delete journal.data.multipart[filename];
+      await journal.save();
+    }
+    throw error;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Uploads the resized versions of an image, resolving to the widths and
+// formats created for its manifest entry. A failure here is only a warning:
+// the API falls back to the original for images without derivatives. The
+// version changes with every upload, so the API's URLs miss stale copies in
+// the CDN cache (e.g. from before a watermark was added).
+async function uploadDerivatives(key, input, progress, { watermark } = {}) {
+  const filename = path.basename(key);
+
+  try {
+    const widths = new Set();
+    for await (const derivative of generateDerivatives(input, { watermark })) {
+      await withRetry(
+        () =>
+          s3Client.send(
+            new PutObjectCommand({
+              Bucket: BUCKET_NAME,
+              Key: derivativeKey(key, derivative.width, derivative.format),
+              Body: derivative.buffer,
+              ContentType: derivative.contentType,
+            }),
+          ),
+        { onRetry: retryLogger(filename, progress) },
+      );
+      widths.add(derivative.width);
+    }
+    return {
+      widths: [...widths],
+      formats: Object.keys(DERIVATIVE_FORMATS),
+      watermark,
+      version: Date.now().toString(36),
+    };
+  } catch (error) {
+    progress.log(
+      `  Warning: Could not create resized versions of ${filename}: ${error.message}`,
+    );
+    return undefined;
   }
+}
 
-  // Get folder selection
-  const { localBaseDir } = await inquirer.prompt({
-    type: "input",
-    name: "localBaseDir",
-    message: "Enter the BASE path where your local image folders are located:",
-    default: path.resolve(process.cwd(), "./local-albums"),
-    validate: async (input) => {
-      try {
-        const stats = await fs.stat(input);
-        return stats.isDirectory() || "Please enter a valid directory path.";
-      } catch {
-        return "Directory does not exist or is not accessible.";
-      }
-    },
-  });
+// The blurred preview and colour the site paints while an image loads.
+// Like derivatives, it's optional: a failure is only a warning.
+async function createPlaceholder(key, input, progress) {
+  try {
+    return await generatePlaceholder(input);
+  } catch (error) {
+    progress.log(
+      `  Warning: Could not create a placeholder for ${path.basename(key)}: ${error.message}`,
+    );
+    return undefined;
+  }
+}
 
-  const allEntriesInBaseDir = await glob("*", {
-    cwd: localBaseDir,
-    dot: false,
-    maxDepth: 1,
-    absolute: false,
-  });
-  const albumFolders = [];
-  for (const entry of allEntriesInBaseDir) {
-    const entryPath = path.join(localBaseDir, entry);
-    const stats = await fs.stat(entryPath);
-    if (stats.isDirectory()) {
-      albumFolders.push(entry);
+// Uploads one image and its derivatives, resolving to its manifest entry.
+// Unless the album's metadata policy is "keep", what's published is a
+// processed copy written to a temp file, so large images still go up in
+// parts (though an interrupted one restarts rather than resumes, as the copy
+// is new each run). The entry's `source` records the local file it came from,
+// which is what `--sync` compares against.
+async function uploadFile(
+  albumId,
+  filePath,
+  stats,
+  { journal, progress, policy = "keep", watermark, removedFields },
+) {
+  const filename = path.basename(filePath);
+  const key = `${albumId}/${filename}`;
+  const contentType = `image/${path.extname(filename).toLowerCase().substring(1)}`;
+
+  const processed = await applyMetadataPolicy(filePath, policy);
+  let uploadPath = filePath;
+  let uploadStats = stats;
+  let tempDir;
+  let source;
+  const metadata = {};
+
+  if (processed) {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "digifilm-"));
+    uploadPath = path.join(tempDir, filename);
+    await fs.writeFile(uploadPath, processed.buffer);
+    uploadStats = await fs.stat(uploadPath);
+    source = { size: stats.size, md5: await hashFile(filePath), policy };
+    Object.assign(metadata, {
+      "source-size": source.size.toString(),
+      "source-md5": source.md5,
+      "metadata-policy": policy,
+    });
+
+    if (processed.rotated) progress.log(`  Rotated ${filename} upright`);
+    for (const field of processed.removed) {
+      removedFields?.set(field, (removedFields.get(field) || 0) + 1);
     }
   }
 
-  if (albumFolders.length === 0) {
-    console.error(`No folders found in "${localBaseDir}".`);
-    return;
+  try {
+    let result;
+    if (uploadStats.size < MULTIPART_THRESHOLD) {
+      result = await uploadSmallFile(key, uploadPath, contentType, {
+        metadata,
+        progress,
+      });
+    } else {
+      const upload = () =>
+        uploadMultipartFile(key, uploadPath, uploadStats, contentType, {
+          journal,
+          metadata,
+          progress,
+        });
+      try {
+        result = await upload();
+      } catch (error) {
+        // A journalled upload that R2 has since aborted can't be resumed.
+        if (error.name !== "NoSuchUpload") throw error;
+        delete journal.data.multipart[filename];
+        result = await upload();
+      }
+    }
+
+    return {
+      key,
+      ...result,
+      size: uploadStats.size,
+      source,
+      exif: await readExif(uploadPath),
+      derivatives: await uploadDerivatives(key, uploadPath, progress, {
+        watermark,
+      }),
+      placeholder: await createPlaceholder(key, uploadPath, progress),
+      uploaded_at: new Date().toISOString(),
+    };
+  } finally {
+    if (tempDir) await fs.rm(tempDir, { recursive: true, force: true });
   }
+}
 
-  const { selectedFolder } = await inquirer.prompt({
-    type: "list",
-    name: "selectedFolder",
-    message: "Select the folder containing images to upload:",
-    choices: albumFolders,
-  });
+// Backfills derivatives for images uploaded before they existed (or whose
+// generation failed), by downloading each original from R2. Images whose
+// derivatives don't carry the album's current watermark are redone too, and
+// images without a placeholder get one.
+async function generateMissingDerivatives(albumId) {
+  console.log(`\n--- Generating resized images for album: "${albumId}" ---`);
+  const { GetObjectCommand } = await import("@aws-sdk/client-s3");
+
+  const [objects, derivatives, manifest, album] = await Promise.all([
+    listR2Objects(albumId),
+    listDerivatives(albumId),
+    getManifest(albumId),
+    getKvMetadata(albumId),
+  ]);
+  const watermark = albumWatermark(album);
+  const manifestEntries = new Map(
+    (manifest?.images || []).map((entry) => [entry.key, entry]),
+  );
+  const needsDerivatives = (obj) =>
+    !derivatives.has(obj.key) ||
+    manifestEntries.get(obj.key)?.derivatives?.watermark !== watermark;
+  const needsPlaceholder = (obj) => !manifestEntries.get(obj.key)?.placeholder;
+  const missing = objects.filter(
+    (obj) => obj.size > 0 && (needsDerivatives(obj) || needsPlaceholder(obj)),
+  );
+  console.log(`${missing.length} of ${objects.length} images need resizing.`);
 
-  const localFolderPath = path.join(localBaseDir, selectedFolder);
+  const progress = createProgressBar(missing.length);
+  const generated = new Map();
+  const placeholders = new Map();
+  let failed = 0;
+
+  // Resizing is CPU-bound, so there's little to gain from more concurrency.
+  await mapConcurrent(missing, 2, async (obj) => {
+    progress.start(path.basename(obj.key));
+    try {
+      const response = await withRetry(() =>
+        s3Client.send(
+          new GetObjectCommand({ Bucket: BUCKET_NAME, Key: obj.key }),
+        ),
+      );
+      const buffer = Buffer.from(await response.Body.transformToByteArray());
+      progress.addBytes(buffer.length);
+      if (needsDerivatives(obj)) {
+        const result = await uploadDerivatives(obj.key, buffer, progress, {
+          watermark,
+        });
+        if (result) generated.set(obj.key, result);
+        else failed++;
+      }
+      if (needsPlaceholder(obj)) {
+        const placeholder = await createPlaceholder(obj.key, buffer, progress);
+        if (placeholder) placeholders.set(obj.key, placeholder);
+      }
+    } catch (error) {
+      progress.log(`  ❌ ERROR: Failed to fetch ${obj.key}:`, error.message);
+      failed++;
+    }
+    progress.complete();
+  });
 
+  progress.stop();
   console.log(
-    `\nUploading images from "${selectedFolder}" to album "${albumId}"`,
+    `Generated resized images for ${generated.size} images and placeholders for ${placeholders.size}.`,
   );
-  console.log(`Local Path: ${localFolderPath}`);
-  console.log("-----------------------------------");
 
-  const { confirmUpload } = await inquirer.prompt({
-    type: "confirm",
-    name: "confirmUpload",
-    message: `Proceed with uploading images to R2 under prefix "${albumId}"?`,
-    default: true,
-  });
+  if (generated.size > 0 || placeholders.size > 0) {
+    await writeManifest(albumId, [], { derivatives: generated, placeholders });
+  }
+  return {
+    generated: generated.size,
+    placeholders: placeholders.size,
+    failed,
+  };
+}
 
-  if (!confirmUpload) {
-    console.log("Upload cancelled.");
-    return;
+// Reads an image's dimensions from the start of its object and writes them
+// back into its metadata (a copy onto itself, keeping everything else).
+// Resolves to the dimensions, or undefined if they can't be read.
+async function restoreDimensions(key, head) {
+  const { CopyObjectCommand, GetObjectCommand } =
+    await import("@aws-sdk/client-s3");
+  const probe = await withRetry(() =>
+    s3Client.send(
+      new GetObjectCommand({
+        Bucket: BUCKET_NAME,
+        Key: key,
+        Range: `bytes=0-${DIMENSIONS_PROBE_BYTES - 1}`,
+      }),
+    ),
+  );
+  let dimensions;
+  try {
+    dimensions = uprightSize(
+      Buffer.from(await probe.Body.transformToByteArray()),
+    );
+  } catch {
+    return undefined;
   }
 
-  // Upload images
-  const files = await fs.readdir(localFolderPath);
-  let uploadedCount = 0;
-  const imageFiles = files.filter((filename) =>
-    /\.(jpeg|jpg|png|gif|webp|avif)$/i.test(filename),
+  const { width, height } = dimensions;
+  await withRetry(() =>
+    s3Client.send(
+      new CopyObjectCommand({
+        Bucket: BUCKET_NAME,
+        Key: key,
+        CopySource: copySource(key),
+        MetadataDirective: "REPLACE",
+        ContentType: head.ContentType,
+        Metadata: {
+          ...head.Metadata,
+          width: width.toString(),
+          height: height.toString(),
+        },
+      }),
+    ),
   );
+  return { width, height };
+}
 
-  if (imageFiles.length === 0) {
-    console.warn(`No image files found in "${localFolderPath}".`);
-    return;
+// Checks KV and R2 against each other, resolving to a list of issues, each
+// `{ type, albumId, message, fixed }`. With `fix`, the safe repairs are made:
+// missing covers are set to the album's first image, missing dimensions are
+// read from the image, zero-byte objects (and their manifest entries) and
+// derivatives of deleted images are deleted, and missing albums are taken
+// out of collections. Other photos with no album record are only reported,
+// since they may still be wanted.
+async function runDoctor({ fix = false } = {}) {
+  console.log(`\n--- Checking KV and R2${fix ? " and fixing issues" : ""} ---`);
+  const { HeadObjectCommand } = await import("@aws-sdk/client-s3");
+  const issues = [];
+  const report = (type, albumId, message, fixed = false) =>
+    issues.push({ type, albumId, message, fixed });
+
+  const [albumKeys, collectionKeys, objects] = await Promise.all([
+    listKvKeys("album:"),
+    listKvKeys("collection:"),
+    listR2Prefix(""),
+  ]);
+  const albumIds = albumKeys.map((kvKey) => kvKey.replace("album:", ""));
+  const objectKeys = new Set(objects.map((obj) => obj.Key));
+
+  // Originals are grouped by album, and derivatives by the album of the
+  // original they were made from.
+  const albumObjects = new Map();
+  const derivedObjects = new Map();
+  for (const obj of objects) {
+    const derived = obj.Key.match(/^_derived\/((.+?)\/.+)\/\d+\.\w+$/);
+    const [group, albumId] = derived
+      ? [derivedObjects, derived[2]]
+      : [albumObjects, obj.Key.split("/")[0]];
+    if (derived) obj.original = derived[1];
+    if (!group.has(albumId)) group.set(albumId, []);
+    group.get(albumId).push(obj);
   }
+  console.log(
+    `Checking ${albumIds.length} albums and ${objects.length} objects...`,
+  );
 
-  for (const filename of imageFiles) {
-    const filePath = path.join(localFolderPath, filename);
-    const fileExtension = path.extname(filename).toLowerCase();
+  // Every prefix's objects are checked, whether or not it has an album
+  // record. Deleted empty objects count as missing from here on, so their
+  // derivatives go too, and their albums' manifests are rewritten below.
+  const emptied = new Set();
+  for (const [albumId, albumObjectList] of albumObjects) {
+    if (!albumIds.includes(albumId)) {
+      report(
+        "orphaned-prefix",
+        albumId,
+        `${albumId}/ has ${albumObjectList.length} object${albumObjectList.length === 1 ? "" : "s"} but no album:${albumId} record. Run "node main.js delete ${albumId} --yes" if they aren't wanted.`,
+      );
+    }
+    for (const obj of albumObjectList) {
+      if (obj.Size === 0) {
+        const fixed = fix && (await deleteR2Keys([obj.Key])) === 1;
+        if (fixed) {
+          objectKeys.delete(obj.Key);
+          emptied.add(albumId);
+        }
+        report("zero-byte", albumId, `${obj.Key} is empty.`, fixed);
+      } else if (!IMAGE_PATTERN.test(obj.Key)) {
+        report(
+          "unsupported-extension",
+          albumId,
+          `${obj.Key} isn't a supported image type, so the site ignores it.`,
+        );
+      }
+    }
+  }
 
-    console.log(`Processing ${filename}...`);
-    const fileBuffer = await fs.readFile(filePath);
+  for (const [albumId, derivedList] of derivedObjects) {
+    const orphaned = derivedList
+      .filter((obj) => !objectKeys.has(obj.original))
+      .map((obj) => obj.Key);
+    if (!orphaned.length) continue;
+    const fixed = fix && (await deleteR2Keys(orphaned)) === orphaned.length;
+    report(
+      "orphaned-derivatives",
+      albumId,
+      `_derived/${albumId}/ has ${orphaned.length} resized image${orphaned.length === 1 ? "" : "s"} of deleted photos.`,
+      fixed,
+    );
+  }
 
-    let width = 0;
-    let height = 0;
+  for (const albumId of albumIds) {
+    const album = await getKvMetadata(albumId);
+    if (!album) continue;
+    const albumObjectList = albumObjects.get(albumId) || [];
+    const images = albumObjectList.filter(
+      (obj) => obj.Size > 0 && IMAGE_PATTERN.test(obj.Key),
+    );
+    const manifest = await getManifest(albumId);
+    const corrected = [];
+
+    // Albums with no images yet needn't have a cover.
+    if (
+      album.cover_key ? !objectKeys.has(album.cover_key) : images.length > 0
+    ) {
+      const { cover_key, ...rest } = album;
+      const cover = images.map((obj) => obj.Key).sort()[0];
+      const fixed =
+        fix &&
+        (await updateKvMetadata(
+          albumId,
+          cover ? { ...rest, cover_key: cover } : rest,
+        ));
+      report(
+        "missing-cover",
+        albumId,
+        album.cover_key
+          ? `Cover ${album.cover_key} doesn't exist.`
+          : `album:${albumId} has no cover.`,
+        fixed,
+      );
+    } else {
+      // Albums written before their record kept a copy of the cover's
+      // manifest entry show a plain cover on the galleries page.
+      const { cover_image } = withCoverImage(album, manifest?.images);
+      if (JSON.stringify(cover_image) !== JSON.stringify(album.cover_image)) {
+        const fixed = fix && (await updateKvMetadata(albumId, album));
+        report(
+          "stale-cover-image",
+          albumId,
+          `album:${albumId} has an out-of-date copy of its cover's sources.`,
+          fixed,
+        );
+      }
+    }
 
-    try {
-      const dimensions = sizeOf(fileBuffer);
-      width = dimensions.width || 0;
-      height = dimensions.height || 0;
-      if (width > 0 && height > 0) {
-        console.log(`  Dimensions: ${width}x${height}`);
-      } else {
-        throw new Error("Could not get valid dimensions from image-size.");
-      }
-    } catch (dimError) {
-      console.warn(
-        `  Warning: Could not determine dimensions for ${filename}. Using defaults.`,
+    // The site takes dimensions from the manifest, so only images missing
+    // from it, or without dimensions there, need their metadata read.
+    const measured = new Set(
+      (manifest?.images || [])
+        .filter((entry) => entry.width > 0 && entry.height > 0)
+        .map((entry) => entry.key),
+    );
+    const unmeasured = images.filter((obj) => !measured.has(obj.Key));
+    await mapConcurrent(unmeasured, 8, async (obj) => {
+      const head = await withRetry(() =>
+        s3Client.send(
+          new HeadObjectCommand({ Bucket: BUCKET_NAME, Key: obj.Key }),
+        ),
+      );
+      const width = parseInt(head.Metadata?.width, 10);
+      const height = parseInt(head.Metadata?.height, 10);
+      if (width > 0 && height > 0) return;
+
+      const dimensions = fix && (await restoreDimensions(obj.Key, head));
+      if (dimensions) corrected.push({ key: obj.Key, ...dimensions });
+      report(
+        "missing-dimensions",
+        albumId,
+        `${obj.Key} has no width and height metadata.`,
+        Boolean(dimensions),
       );
-      width = 1200;
-      height = 800; // Default landscape
-    }
-
-    const r2Key = `${albumId}/${filename}`;
-    const putCommand = new PutObjectCommand({
-      Bucket: R2_BUCKET_NAME,
-      Key: r2Key,
-      Body: fileBuffer,
-      ContentType: `image/${fileExtension.substring(1)}`,
-      Metadata: {
-        width: width.toString(),
-        height: height.toString(),
-      },
     });
 
-    try {
-      await s3Client.send(putCommand);
-      console.log(
-        `  ✅ Uploaded ${filename} to R2 with metadata ${width}x${height}`,
+    // The manifest keeps entries whose size hasn't changed, so corrected
+    // dimensions have to be passed in. Rewriting it also drops the entries
+    // of deleted objects.
+    if (corrected.length || emptied.has(albumId)) {
+      const entries = new Map(
+        (manifest?.images || []).map((entry) => [entry.key, entry]),
       );
-      uploadedCount++;
+      await writeManifest(
+        albumId,
+        corrected
+          .filter(({ key }) => entries.has(key))
+          .map(({ key, width, height }) => ({
+            ...entries.get(key),
+            width,
+            height,
+          })),
+      );
+    }
+  }
+
+  // Orphaned prefixes can still have a manifest from before their album
+  // record was deleted.
+  for (const albumId of emptied) {
+    if (albumIds.includes(albumId)) continue;
+    if (await getManifest(albumId)) await writeManifest(albumId);
+  }
+
+  for (const kvKey of collectionKeys) {
+    const collection = await getKvJson(kvKey);
+    const missing = (collection?.albums || []).filter(
+      (albumId) => !albumIds.includes(albumId),
+    );
+    if (!missing.length) continue;
+
+    const collectionId = kvKey.replace("collection:", "");
+    let fixed = false;
+    if (fix) {
+      try {
+        await putKvJson(kvKey, {
+          ...collection,
+          albums: collection.albums.filter(
+            (albumId) => !missing.includes(albumId),
+          ),
+        });
+        await bumpCacheVersion();
+        fixed = true;
+      } catch (error) {
+        console.error(`Error updating ${kvKey}:`, error.message);
+      }
+    }
+    report(
+      "missing-collection-albums",
+      collectionId,
+      `Collection ${collectionId} lists albums that don't exist: ${missing.join(", ")}.`,
+      fixed,
+    );
+  }
+
+  return issues;
+}
+
+// Works out which local files need uploading. Outside sync mode that's all
+// of them; in sync mode, files whose size and MD5 match what's already in R2
+// (from the ETag, or the manifest for multipart uploads) are skipped, and
+// with `prune` any R2 images missing locally are marked for deletion.
+async function planUpload(albumId, localFolderPath, { sync, prune } = {}) {
+  const files = await fs.readdir(localFolderPath);
+  const imageFiles = files.filter((filename) => IMAGE_PATTERN.test(filename));
+  const album = await getKvMetadata(albumId);
+  const plan = {
+    policy: albumMetadataPolicy(album),
+    watermark: albumWatermark(album),
+    toUpload: [],
+    unchanged: [],
+    toPrune: [],
+  };
+
+  if (!sync) {
+    plan.toUpload = imageFiles.map((filename) => ({ filename, reason: "new" }));
+    return plan;
+  }
+
+  const [objects, manifest] = await Promise.all([
+    listR2Objects(albumId),
+    getManifest(albumId),
+  ]);
+  const remote = new Map(objects.map((obj) => [obj.key, obj]));
+  const manifestEntries = new Map(
+    (manifest?.images || []).map((entry) => [entry.key, entry]),
+  );
+
+  for (const filename of imageFiles) {
+    const key = `${albumId}/${filename}`;
+    const existing = remote.get(key);
+    if (!existing) {
+      plan.toUpload.push({ filename, reason: "new" });
+      continue;
+    }
+
+    // Files are only hashed when their size matches, whatever their mtime:
+    // copies made with `cp -p`, `rsync -t` or a camera import keep an older
+    // one. Processed uploads are compared by their source file, and redone
+    // if the policy changed.
+    const filePath = path.join(localFolderPath, filename);
+    const { size } = await fs.stat(filePath);
+    const source = manifestEntries.get(key)?.source ?? {
+      size: existing.size,
+      md5: md5FromEtag(existing.etag) ?? manifestEntries.get(key)?.md5,
+      policy: "keep",
+    };
+    const unchanged =
+      source.policy === plan.policy &&
+      source.size === size &&
+      source.md5 === (await hashFile(filePath));
+
+    if (unchanged) plan.unchanged.push(filename);
+    else plan.toUpload.push({ filename, reason: "changed" });
+  }
+
+  if (prune) {
+    const local = new Set(imageFiles.map((f) => `${albumId}/${f}`));
+    plan.toPrune = objects
+      .map((obj) => obj.key)
+      .filter((key) => !local.has(key));
+  }
+
+  return plan;
+}
+
+function printUploadPlan(plan) {
+  const count = (reason) =>
+    plan.toUpload.filter((file) => file.reason === reason).length;
+
+  console.log("\n--- Upload Plan ---");
+  console.log(`New files to upload: ${count("new")}`);
+  console.log(`Changed files to upload: ${count("changed")}`);
+  console.log(`Unchanged (skipped): ${plan.unchanged.length}`);
+  console.log(`R2 images to delete: ${plan.toPrune.length}`);
+  for (const key of plan.toPrune) console.log(`  - ${key}`);
+  console.log(`Metadata policy: ${plan.policy}`);
+}
+
+// Uploads the files in `plan` (by default, every image in the folder) and
+// applies any pruning. With `dryRun` only the plan is printed and returned.
+async function uploadFolder(
+  albumId,
+  localFolderPath,
+  { plan, sync, prune, dryRun, concurrency = UPLOAD_CONCURRENCY } = {},
+) {
+  plan ??= await planUpload(albumId, localFolderPath, { sync, prune });
+  const imageFiles = plan.toUpload.map((file) => file.filename);
+
+  if (dryRun) {
+    printUploadPlan(plan);
+    return {
+      dryRun: true,
+      policy: plan.policy,
+      upload: plan.toUpload,
+      unchanged: plan.unchanged,
+      prune: plan.toPrune,
+    };
+  }
+
+  if (imageFiles.length === 0 && plan.toPrune.length === 0) {
+    console.log(`Nothing to upload from "${localFolderPath}".`);
+    return {
+      processed: 0,
+      uploaded: 0,
+      failed: 0,
+      skipped: plan.unchanged.length,
+      pruned: 0,
+    };
+  }
+
+  const journal = await openJournal(localFolderPath, albumId);
+  await Promise.all(journal.discarded.map(abortMultipartUpload));
+  const progress = createProgressBar(imageFiles.length);
+  const uploadedEntries = [];
+  const failedFiles = [];
+  const removedFields = new Map();
+  let resumedCount = 0;
+
+  await mapConcurrent(imageFiles, concurrency, async (filename) => {
+    const filePath = path.join(localFolderPath, filename);
+    const stats = await fs.stat(filePath);
+
+    const finished = journal.finished(filename, stats);
+    if (finished) {
+      uploadedEntries.push(finished.entry);
+      resumedCount++;
+      progress.complete();
+      return;
+    }
+
+    progress.start(filename);
+    try {
+      const entry = await uploadFile(albumId, filePath, stats, {
+        journal,
+        progress,
+        policy: plan.policy,
+        watermark: plan.watermark,
+        removedFields,
+      });
+      journal.data.files[filename] = {
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        entry,
+      };
+      await journal.save();
+      uploadedEntries.push(entry);
     } catch (uploadError) {
-      console.error(
+      failedFiles.push(filename);
+      progress.log(
         `  ❌ ERROR: Failed to upload ${filename}:`,
         uploadError.message,
       );
     }
+    progress.complete();
+  });
+
+  progress.stop();
+  const uploadedCount = uploadedEntries.length;
+
+  if (failedFiles.length === 0) {
+    // Uploads of files that have since been skipped or deleted locally.
+    await Promise.all(
+      Object.values(journal.data.multipart).map(abortMultipartUpload),
+    );
+    await journal.remove();
+  } else {
+    console.log(
+      `\nProgress saved to ${JOURNAL_FILENAME}; re-run the upload to resume.`,
+    );
   }
 
   console.log(`\n--- Upload Complete ---`);
   console.log(`Total images processed: ${imageFiles.length}`);
   console.log(`Successfully uploaded: ${uploadedCount}`);
-  console.log(`Failed uploads: ${imageFiles.length - uploadedCount}`);
+  if (resumedCount > 0) {
+    console.log(`  (${resumedCount} already uploaded by an earlier run)`);
+  }
+  console.log(`Failed uploads: ${failedFiles.length}`);
+  console.log(`Unchanged (skipped): ${plan.unchanged.length}`);
+
+  if (removedFields.size > 0) {
+    console.log(`\n--- Metadata Removed (policy: ${plan.policy}) ---`);
+    for (const [field, count] of removedFields) {
+      console.log(`  ${field}: ${count} image${count === 1 ? "" : "s"}`);
+    }
+  }
+
+  let prunedCount = 0;
+  if (plan.toPrune.length > 0) {
+    try {
+      prunedCount = await deleteR2Keys(plan.toPrune);
+      const derivedKeys = (await listR2Prefix(derivativePrefix(albumId)))
+        .map((obj) => obj.Key)
+        .filter((key) =>
+          plan.toPrune.some((pruned) => key.startsWith(`_derived/${pruned}/`)),
+        );
+      await deleteR2Keys(derivedKeys);
+      console.log(`Pruned from R2: ${prunedCount}`);
+    } catch (error) {
+      console.error("Error pruning R2 images:", error.message);
+    }
+  }
+
+  if (uploadedCount > 0 || prunedCount > 0) {
+    await writeManifest(albumId, uploadedEntries);
+  }
+
+  return {
+    processed: imageFiles.length,
+    uploaded: uploadedCount,
+    failed: failedFiles.length,
+    skipped: plan.unchanged.length,
+    pruned: prunedCount,
+    metadataRemoved: Object.fromEntries(removedFields),
+  };
+}
+
+function validateAlbumId(albumId) {
+  if (!albumId) return "Album ID is required";
+  if (!/^[a-z0-9-]+$/.test(albumId))
+    return "Album ID must contain only lowercase letters, numbers, and hyphens";
+  return true;
 }
 
 async function main() {
@@ -494,6 +2718,10 @@ async function main() {
     message: "What would you like to do?",
     choices: [
       { name: "Create/Update Album", value: "manage" },
+      { name: "Generate Share Link", value: "share" },
+      { name: "Order Photos & Edit Captions", value: "photos" },
+      { name: "Rebuild Manifest", value: "rebuild-manifest" },
+      { name: "Generate Resized Images", value: "derivatives" },
       { name: "Delete Album", value: "delete" },
     ],
   });
@@ -503,17 +2731,20 @@ async function main() {
     type: "input",
     name: "albumId",
     message: "Enter the album ID:",
-    validate: (input) => {
-      if (!input.trim()) return "Album ID is required";
-      if (!/^[a-z0-9-]+$/.test(input.trim()))
-        return "Album ID must contain only lowercase letters, numbers, and hyphens";
-      return true;
-    },
+    validate: (input) => validateAlbumId(input.trim()),
     filter: (input) => input.trim().toLowerCase(),
   });
 
   if (action === "delete") {
     await deleteAlbum(albumId);
+  } else if (action === "share") {
+    await generateShareLink(albumId);
+  } else if (action === "photos") {
+    await arrangePhotos(albumId);
+  } else if (action === "rebuild-manifest") {
+    await rebuildManifest(albumId);
+  } else if (action === "derivatives") {
+    await generateMissingDerivatives(albumId);
   } else {
     await manageAlbum(albumId);
   }
@@ -521,4 +2752,407 @@ async function main() {
   console.log("\nDone!");
 }
 
-main();
+const USAGE = `Usage: node main.js [command] [options]
+
+Runs the interactive wizard when no command is given.
+
+Commands:
+  list                          List all albums
+  show <albumId>                Show an album's metadata and image count
+  upload <albumId> <folder>     Upload every image in a local folder
+      --sync       Only upload new or changed files
+      --prune      With --sync, delete R2 images missing locally
+      --dry-run    Show what would change without uploading
+      --concurrency <n>  Files to upload at once (default 4)
+  meta set <albumId>            Update album metadata:
+      --title <text>  --description <text>  --cover <filename>
+      --film-stock <text>  (empty to clear)
+      --tags <a,b,...>  --location <text>  (empty to clear)
+      --date <YYYY[-MM[-DD]]>  A date, or a range joined by ".."
+      --[no-]private  --[no-]allow-downloads
+      --[no-]allow-selections  Let visitors submit their favourite photos
+      --[no-]show-gps  Show where photos were taken (off by default)
+      --[no-]proof  Client proof album: watermarked, no original downloads
+      --watermark <text>  Proof watermark (default "PROOF")
+      --metadata-policy <keep|whitelist|strip>
+          Metadata published with new uploads (default: whitelist for
+          private albums, keep otherwise)
+      --password <password>  --clear-password
+      --sort <filename|date|manual>  How photos are ordered
+  photos export <albumId>       Print an album's photo order and captions
+      --format <csv|yaml>  (default csv)
+  photos import <albumId> <file>
+                                Set photo order, captions and alt text from
+                                a CSV or YAML file (columns: file, caption,
+                                alt); switches the album to manual order
+      --sort <mode>  Keep another sort mode, using only the captions
+  collection list               List all collections
+  collection show <id>          Show a collection's details and albums
+  collection set <id>           Create or update a collection:
+      --title <text>  --description <text>
+      --cover <albumId/filename>  (empty to use the first album's cover)
+      --albums <id,id,...>  Replace its albums, in display order
+  collection add <id> <albumId>...     Append albums to a collection
+  collection remove <id> <albumId>...  Take albums out of a collection
+  collection delete <id> --yes  Delete a collection (not its albums)
+  selections <albumId>          List the selections visitors have submitted
+      --from <name|email>  Only the selection submitted under this name
+      --format <files|csv>  Print the selected filenames (each once, in
+                            album order) or one CSV row per selected photo
+  delete <albumId> --yes        Delete an album's images and metadata
+  rename <oldId> <newId>        Change an album's ID; old links redirect
+  merge <sourceId> <targetId>   Move an album's photos into another album
+                                and delete it; old links redirect
+  export <albumId>... | --all   Back up albums' originals and KV records,
+                                with checksums (--all includes collections)
+      --out <path>  A directory, or a .tar, .tar.gz or .tgz file
+                    (default digifilm-backup-<date>)
+  import <path>                 Restore an export into the bucket and
+                                namespace configured in .env, checking
+                                every file against its checksums
+      --as <albumId>  Restore a single-album backup under a new ID
+  share <albumId> [--days <n>]  Print a share link for a private album
+  rebuild-manifest <albumId>    Rebuild an album's image manifest from R2
+  derivatives <albumId>         Generate missing resized images and
+                                placeholders for an album
+  doctor [--fix]                Check every album in KV against R2 for
+                                missing covers and dimensions, orphaned and
+                                empty objects and unsupported files; --fix
+                                repairs what it safely can
+
+Options:
+  --json                        Print the result as JSON on stdout
+  -h, --help                    Show this help`;
+
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+function requireAlbumId(albumId) {
+  const valid = validateAlbumId(albumId);
+  if (valid !== true) throw new UsageError(valid);
+  return albumId;
+}
+
+async function runCommand(command, args, options) {
+  switch (command) {
+    case "list":
+      return listAlbums();
+    case "show":
+      return showAlbum(requireAlbumId(args[0]));
+    case "upload": {
+      const albumId = requireAlbumId(args[0]);
+      if (!args[1]) throw new UsageError("A folder to upload is required");
+      const stats = await fs.stat(args[1]).catch(() => null);
+      if (!stats?.isDirectory()) {
+        throw new UsageError(`"${args[1]}" is not a directory`);
+      }
+      if (options.prune && !options.sync) {
+        throw new UsageError("--prune requires --sync");
+      }
+      const result = await uploadFolder(albumId, path.resolve(args[1]), {
+        sync: options.sync,
+        prune: options.prune,
+        dryRun: options["dry-run"],
+        concurrency: parseInt(options.concurrency, 10) || UPLOAD_CONCURRENCY,
+      });
+      if (result.failed > 0) process.exitCode = EXIT_FAILURE;
+      return result;
+    }
+    case "meta": {
+      if (args[0] !== "set") throw new UsageError('Expected "meta set"');
+      return setAlbumMetadata(requireAlbumId(args[1]), {
+        title: options.title,
+        description: options.description,
+        filmStock: options["film-stock"]?.trim(),
+        tags: options.tags,
+        date: options.date,
+        location: options.location?.trim(),
+        cover: options.cover,
+        private: options.private,
+        allowDownloads: options["allow-downloads"],
+        allowSelections: options["allow-selections"],
+        showGps: options["show-gps"],
+        proof: options.proof,
+        watermark: options.watermark?.trim(),
+        metadataPolicy: options["metadata-policy"],
+        sort: options.sort,
+        password: options.password,
+        clearPassword: options["clear-password"],
+      });
+    }
+    case "delete": {
+      const albumId = requireAlbumId(args[0]);
+      if (!options.yes) {
+        throw new UsageError("Refusing to delete without --yes");
+      }
+      if (!(await deleteAlbum(albumId, { yes: true }))) {
+        throw new Error(`Could not delete album "${albumId}"`);
+      }
+      return { id: albumId, deleted: true };
+    }
+    case "share": {
+      const albumId = requireAlbumId(args[0]);
+      const days = Number(options.days ?? 30);
+      if (!(days > 0)) throw new UsageError("--days must be a positive number");
+      return { id: albumId, ...createShareLink(albumId, days) };
+    }
+    case "photos": {
+      const albumId = requireAlbumId(args[1]);
+      if (args[0] === "export") {
+        if (options.format && !["csv", "yaml"].includes(options.format)) {
+          throw new UsageError("--format must be csv or yaml");
+        }
+        return exportPhotos(albumId);
+      }
+      if (args[0] !== "import") {
+        throw new UsageError('Expected "photos export" or "photos import"');
+      }
+      if (!args[2]) throw new UsageError("Missing photo list file");
+      if (options.sort && !SORT_MODES.includes(options.sort)) {
+        throw new UsageError(`--sort must be one of: ${SORT_MODES.join(", ")}`);
+      }
+      return importPhotos(albumId, args[2], { sort: options.sort });
+    }
+    case "collection": {
+      const [action, collectionId, ...albumIds] = args;
+      if (action === "list") return listCollections();
+      if (!["show", "set", "add", "remove", "delete"].includes(action)) {
+        throw new UsageError(
+          'Expected "collection list", "show", "set", "add", "remove" or "delete"',
+        );
+      }
+      requireAlbumId(collectionId);
+      if (action === "show") return showCollection(collectionId);
+      if (action === "delete") {
+        if (!options.yes) {
+          throw new UsageError("Refusing to delete without --yes");
+        }
+        return deleteCollection(collectionId);
+      }
+      if (action === "set") {
+        return setCollection(collectionId, {
+          title: options.title,
+          description: options.description,
+          cover: options.cover?.trim(),
+          albums: options.albums
+            ?.split(",")
+            .map((albumId) => albumId.trim())
+            .filter(Boolean)
+            .map(requireAlbumId),
+        });
+      }
+      if (!albumIds.length) throw new UsageError("No album IDs given");
+      return setCollection(collectionId, {
+        [action]: albumIds.map(requireAlbumId),
+      });
+    }
+    case "selections": {
+      const albumId = requireAlbumId(args[0]);
+      if (options.format && !SELECTION_FORMATS.includes(options.format)) {
+        throw new UsageError(
+          `--format must be one of: ${SELECTION_FORMATS.join(", ")}`,
+        );
+      }
+      return getSelections(albumId, { from: options.from });
+    }
+    case "rebuild-manifest": {
+      const albumId = requireAlbumId(args[0]);
+      if (!(await writeManifest(albumId, [], { rebuild: true }))) {
+        throw new Error(`Could not rebuild manifest for "${albumId}"`);
+      }
+      return { id: albumId, rebuilt: true };
+    }
+    case "derivatives": {
+      const result = await generateMissingDerivatives(requireAlbumId(args[0]));
+      if (result.failed > 0) process.exitCode = EXIT_FAILURE;
+      return result;
+    }
+    case "rename":
+      return renameAlbum(requireAlbumId(args[0]), requireAlbumId(args[1]));
+    case "merge": {
+      const [sourceId, targetId] = [args[0], args[1]].map(requireAlbumId);
+      if (sourceId === targetId) {
+        throw new UsageError("Can't merge an album into itself");
+      }
+      return mergeAlbums(sourceId, targetId);
+    }
+    case "export": {
+      if (options.all && args.length > 0) {
+        throw new UsageError("Give album IDs or --all, not both");
+      }
+      if (!options.all && args.length === 0) {
+        throw new UsageError("Album IDs or --all are required");
+      }
+      const albumIds = options.all
+        ? (await listKvKeys("album:")).map((kvKey) =>
+            kvKey.replace("album:", ""),
+          )
+        : args.map(requireAlbumId);
+      const outPath =
+        options.out ||
+        `digifilm-backup-${new Date().toISOString().slice(0, 10)}`;
+      const result = await exportAlbums(albumIds, path.resolve(outPath), {
+        collections: options.all,
+      });
+      if (result.failed > 0) process.exitCode = EXIT_FAILURE;
+      return result;
+    }
+    case "import": {
+      if (!args[0]) throw new UsageError("A backup to import is required");
+      const result = await importBackup(path.resolve(args[0]), {
+        as: options.as && requireAlbumId(options.as),
+      });
+      if (
+        result.albums.some(
+          (album) => album.failed > 0 || album.mismatched.length > 0,
+        )
+      ) {
+        process.exitCode = EXIT_FAILURE;
+      }
+      return result;
+    }
+    case "doctor": {
+      const issues = await runDoctor({ fix: options.fix });
+      if (issues.some((issue) => !issue.fixed)) process.exitCode = EXIT_FAILURE;
+      return issues;
+    }
+    default:
+      throw new UsageError(`Unknown command "${command}"`);
+  }
+}
+
+async function runCli(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      allowNegative: true,
+      options: {
+        json: { type: "boolean" },
+        help: { type: "boolean", short: "h" },
+        yes: { type: "boolean", short: "y" },
+        title: { type: "string" },
+        description: { type: "string" },
+        cover: { type: "string" },
+        "film-stock": { type: "string" },
+        tags: { type: "string" },
+        date: { type: "string" },
+        location: { type: "string" },
+        private: { type: "boolean" },
+        "allow-downloads": { type: "boolean" },
+        "allow-selections": { type: "boolean" },
+        "show-gps": { type: "boolean" },
+        proof: { type: "boolean" },
+        watermark: { type: "string" },
+        "metadata-policy": { type: "string" },
+        sort: { type: "string" },
+        format: { type: "string" },
+        from: { type: "string" },
+        albums: { type: "string" },
+        password: { type: "string" },
+        "clear-password": { type: "boolean" },
+        days: { type: "string" },
+        sync: { type: "boolean" },
+        prune: { type: "boolean" },
+        "dry-run": { type: "boolean" },
+        fix: { type: "boolean" },
+        all: { type: "boolean" },
+        out: { type: "string" },
+        as: { type: "string" },
+        concurrency: { type: "string" },
+      },
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const { values: options, positionals } = parsed;
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  // stdout is reserved for the result in --json mode, so progress logging
+  // goes to stderr instead.
+  if (options.json) console.log = console.error;
+
+  const [command, ...args] = positionals;
+  try {
+    const result = await runCommand(command, args, options);
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else if (command === "collection" && args[0] === "list") {
+      for (const collection of result) {
+        console.log(
+          `${collection.id}\t${collection.title ?? ""}\t(${collection.albums} albums)`,
+        );
+      }
+    } else if (command === "list") {
+      for (const album of result) {
+        const flags = [
+          album.private && "private",
+          album.password_protected && "password",
+        ].filter(Boolean);
+        console.log(
+          `${album.id}\t${album.title ?? ""}${flags.length ? `\t(${flags.join(", ")})` : ""}`,
+        );
+      }
+    } else if (command === "photos" && args[0] === "export") {
+      process.stdout.write(
+        `${formatPhotoList(result, options.format ?? "csv").trimEnd()}\n`,
+      );
+    } else if (command === "selections" && options.format) {
+      const order = albumPhotoList(
+        await getAlbumEntries(args[0]),
+        await getKvMetadata(args[0]),
+      ).map((photo) => photo.file);
+      process.stdout.write(
+        `${formatSelections(result, options.format, order)}\n`,
+      );
+    } else if (command === "selections") {
+      if (result.length === 0) console.log("No selections submitted yet.");
+      for (const submission of result) {
+        console.log(
+          `${describeSubmitter(submission)}\t${submission.files.length} photos\t${submission.submitted_at}`,
+        );
+        if (submission.note) console.log(`  ${submission.note}`);
+      }
+    } else if (command === "doctor") {
+      if (result.length === 0) console.log("✅ No issues found.");
+      for (const issue of result) {
+        console.log(`${issue.fixed ? "✅ Fixed:" : "❌"} ${issue.message}`);
+      }
+    } else if (
+      !["upload", "delete", "rename", "merge", "export", "import"].includes(
+        command,
+      )
+    ) {
+      console.log(JSON.stringify(result, null, 2));
+    }
+    return process.exitCode ?? 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      return EXIT_USAGE;
+    }
+    if (options.json) {
+      process.stdout.write(
+        `${JSON.stringify({ error: error.message }, null, 2)}\n`,
+      );
+    } else {
+      console.error(`❌ ${error.message}`);
+    }
+    return EXIT_FAILURE;
+  }
+}
+
+const cliArgs = process.argv.slice(2);
+if (cliArgs.length === 0) {
+  await main();
+} else {
+  process.exitCode = await runCli(cliArgs);
+}
@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, test } from "node:test";
+import * as tar from "tar";
+import { extractTar, isTarball, packTar } from "../lib/archive.js";
+
+let tmp;
+
+beforeEach(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), "archive-test-"));
+});
+
+afterEach(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+async function writeBackup(dir) {
+  await fs.mkdir(path.join(dir, "albums", "trip 2024"), { recursive: true });
+  await fs.writeFile(path.join(dir, "metadata.json"), '{"albums":[]}\n');
+  await fs.writeFile(
+    path.join(dir, "albums", "trip 2024", "a.jpg"),
+    Buffer.from([0xff, 0xd8, 0xff, 0x00, 0x01]),
+  );
+}
+
+test("recognises tarballs by name", () => {
+  for (const name of ["backup.tar", "backup.tar.gz", "backup.TGZ"]) {
+    assert.equal(isTarball(name), true, name);
+  }
+  for (const name of ["backup", "backup.zip", "backup.tar.bz2"]) {
+    assert.equal(isTarball(name), false, name);
+  }
+});
+
+for (const name of ["backup.tar", "backup.tgz"]) {
+  test(`packs and extracts ${name}`, async () => {
+    const source = path.join(tmp, "source");
+    const target = path.join(tmp, "target");
+    await writeBackup(source);
+    await fs.mkdir(target);
+
+    const archive = path.join(tmp, name);
+    await packTar(source, archive);
+    const header = (await fs.readFile(archive)).subarray(0, 2);
+    assert.equal(
+      header.equals(Buffer.from([0x1f, 0x8b])),
+      name === "backup.tgz",
+    );
+
+    await extractTar(archive, target);
+    assert.equal(
+      await fs.readFile(path.join(target, "metadata.json"), "utf8"),
+      '{"albums":[]}\n',
+    );
+    assert.deepEqual(
+      await fs.readFile(path.join(target, "albums", "trip 2024", "a.jpg")),
+      Buffer.from([0xff, 0xd8, 0xff, 0x00, 0x01]),
+    );
+  });
+}
+
+test("refuses entries that would land outside the target", async () => {
+  const source = path.join(tmp, "source");
+  const target = path.join(tmp, "target");
+  await fs.mkdir(source);
+  await fs.mkdir(target);
+  await fs.writeFile(path.join(tmp, "escaped.txt"), "outside");
+
+  const archive = path.join(tmp, "evil.tar");
+  await tar.create({ file: archive, cwd: source, preservePaths: true }, [
+    "../escaped.txt",
+  ]);
+  await fs.rm(path.join(tmp, "escaped.txt"));
+
+  await assert.rejects(extractTar(archive, target), /contains '\.\.'/);
+  await assert.rejects(fs.access(path.join(tmp, "escaped.txt")));
+});
@@ -9,6 +9,11 @@ export default function(eleventyConfig) {
     }
   });
 
+  // JSON for a `<script type="application/json">` block, with `<` escaped so
+  // nothing in it can end the block.
+  eleventyConfig.addFilter("scriptJson", (value) =>
+    JSON.stringify(value).replace(/</g, "\\u003c"));
+
   eleventyConfig.addCollection("menuItems", function(collectionApi) {
     return collectionApi.getAll().filter(item => item.data.navitem)
       .sort((a, b) => (a.data.navorder || 99) - (b.data.navorder || 99));
@@ -0,0 +1,17 @@
+import site from "./site.js";
+
+// The public albums at build time, which `album.njk` renders a page for.
+// Albums added since the last build are still reachable through
+// `/album.html#<id>`, so a failed fetch only warns.
+export default async function () {
+  try {
+    const response = await fetch(`${site.apiUrl}/albums`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return (await response.json()).albums;
+  } catch (error) {
+    console.warn(
+      `[digifilm] Could not fetch albums, so no album pages were built: ${error.message}`,
+    );
+    return [];
+  }
+}
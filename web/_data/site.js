@@ -0,0 +1,5 @@
+export default {
+  url: process.env.SITE_BASE_URL || "https://digifilm.pics",
+  apiUrl: process.env.API_BASE_URL || "https://api.digifilm.pics",
+  description: "Digital & analogue albums from Edinburgh.",
+};
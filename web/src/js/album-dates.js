@@ -0,0 +1,21 @@
+// Formats an album's `date` (and `date_end`, for a range), each of which may
+// be just a year or a year and month.
+export function formatAlbumDate(album) {
+  const format = (date) => {
+    const [year, month, day] = date.split("-").map(Number);
+    if (!month) return String(year);
+    return new Date(Date.UTC(year, month - 1, day || 1)).toLocaleDateString(
+      undefined,
+      {
+        year: "numeric",
+        month: "long",
+        day: day ? "numeric" : undefined,
+        timeZone: "UTC",
+      },
+    );
+  };
+  if (!album.date) return "";
+  return album.date_end
+    ? `${format(album.date)} – ${format(album.date_end)}`
+    : format(album.date);
+}
@@ -0,0 +1,5 @@
+// The API the components talk to, from the page's `digifilm-api` meta tag,
+// which the build fills in from API_BASE_URL (see _data/site.js).
+export const apiBaseUrl =
+  document.querySelector('meta[name="digifilm-api"]')?.content ||
+  "https://api.digifilm.pics";
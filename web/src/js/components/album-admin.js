@@ -0,0 +1,335 @@
+import { apiBaseUrl } from "../api.js";
+
+document.addEventListener("alpine:init", () => {
+  Alpine.data("albumAdmin", () => {
+    // The admin token is only kept for the browser session.
+    const TOKEN_KEY = "digifilm_admin_token";
+    const UPLOAD_CONCURRENCY = 3;
+
+    const emptyForm = () => ({
+      title: "",
+      description: "",
+      film_stock: "",
+      tags: "",
+      date: "",
+      date_end: "",
+      location: "",
+      private: false,
+      allow_downloads: true,
+      allow_selections: false,
+      show_gps: false,
+      proof: false,
+      watermark: "",
+      password: "",
+    });
+
+    return {
+      workerBaseUrl: apiBaseUrl,
+      token: sessionStorage.getItem(TOKEN_KEY) || "",
+      tokenInput: "",
+      signedIn: false,
+      signingIn: false,
+      albums: [],
+      album: null,
+      images: [],
+      newAlbumId: "",
+      form: emptyForm(),
+      loading: false,
+      saving: false,
+      message: null,
+      error: null,
+      dragging: false,
+      // One `{ name, progress, status, error }` per file in the current batch.
+      uploads: [],
+
+      async init() {
+        if (this.token) await this.signIn(this.token);
+      },
+
+      async _api(method, path, body) {
+        const response = await fetch(`${this.workerBaseUrl}/admin${path}`, {
+          method,
+          headers: {
+            Authorization: `Bearer ${this.token}`,
+            ...(body && { "Content-Type": "application/json" }),
+          },
+          body: body && JSON.stringify(body),
+        });
+        if (response.status === 401) {
+          this.signOut();
+          throw new Error("Your admin token was rejected.");
+        }
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+      },
+
+      async signIn(token = this.tokenInput) {
+        if (this.signingIn || !token) return;
+
+        this.signingIn = true;
+        this.error = null;
+        this.token = token;
+
+        try {
+          this.albums = await this._api("GET", "/albums");
+          this.albums.sort((a, b) => a.id.localeCompare(b.id));
+          this.signedIn = true;
+          this.tokenInput = "";
+          sessionStorage.setItem(TOKEN_KEY, token);
+        } catch (e) {
+          this.error = e.message;
+        } finally {
+          this.signingIn = false;
+        }
+      },
+
+      signOut() {
+        sessionStorage.removeItem(TOKEN_KEY);
+        this.token = "";
+        this.signedIn = false;
+        this.albums = [];
+        this.album = null;
+        this.images = [];
+      },
+
+      async refreshAlbums() {
+        this.albums = await this._api("GET", "/albums");
+        this.albums.sort((a, b) => a.id.localeCompare(b.id));
+      },
+
+      _report(promise, success) {
+        this.message = null;
+        this.error = null;
+        return promise
+          .then((result) => {
+            if (success) this.message = success;
+            return result;
+          })
+          .catch((e) => {
+            this.error = e.message;
+          });
+      },
+
+      async openAlbum(albumId) {
+        this.loading = true;
+        if (this.album?.id !== albumId) this.uploads = [];
+        await this._report(
+          this._api("GET", `/album/${albumId}`).then(({ album, images }) => {
+            this.album = album;
+            this.images = images;
+            this.form = emptyForm();
+            for (const field of Object.keys(this.form)) {
+              if (field !== "password" && album[field] != null) {
+                this.form[field] = album[field];
+              }
+            }
+            this.form.tags = (album.tags || []).join(", ");
+          }),
+        );
+        this.loading = false;
+      },
+
+      // A new album only exists once it's saved, so this just opens a blank
+      // form for it.
+      startAlbum() {
+        const albumId = this.newAlbumId.trim().toLowerCase();
+        if (!/^[a-z0-9-]+$/.test(albumId)) {
+          this.error =
+            "Album ID must contain only lowercase letters, numbers, and hyphens";
+          return;
+        }
+        if (this.albums.some((album) => album.id === albumId)) {
+          this.openAlbum(albumId);
+          return;
+        }
+
+        this.album = { id: albumId, isNew: true };
+        this.images = [];
+        this.uploads = [];
+        this.form = { ...emptyForm(), title: albumId.replace(/-/g, " ") };
+        this.newAlbumId = "";
+        this.message = null;
+        this.error = null;
+      },
+
+      async saveAlbum() {
+        if (this.saving || !this.album) return;
+
+        const { password, watermark, tags, ...fields } = this.form;
+        const changes = {
+          ...fields,
+          tags: tags.split(","),
+          watermark: fields.proof ? watermark : "",
+        };
+        if (password) changes.password = password;
+
+        this.saving = true;
+        await this._report(
+          this._api("PUT", `/album/${this.album.id}`, changes).then((album) => {
+            this.album = album;
+            this.form.password = "";
+            return this.refreshAlbums();
+          }),
+          "Album saved.",
+        );
+        this.saving = false;
+      },
+
+      async removePassword() {
+        if (!this.album || !confirm("Remove this album's password?")) return;
+        await this._report(
+          this._api("PUT", `/album/${this.album.id}`, { password: null }).then(
+            (album) => (this.album = album),
+          ),
+          "Password removed.",
+        );
+      },
+
+      async setCover(image) {
+        await this._report(
+          this._api("POST", `/album/${this.album.id}/cover`, {
+            file: image.file,
+          }).then((album) => (this.album = album)),
+          `Cover set to ${image.file}.`,
+        );
+      },
+
+      isCover(image) {
+        return this.album?.cover_key === `${this.album?.id}/${image.file}`;
+      },
+
+      async deleteAlbum() {
+        const albumId = this.album?.id;
+        if (!albumId) return;
+        const typed = prompt(
+          `This deletes every photo in "${albumId}" and can't be undone. Type the album ID to confirm.`,
+        );
+        if (typed !== albumId) return;
+
+        await this._report(
+          this._api("DELETE", `/album/${albumId}`).then(() => {
+            this.album = null;
+            this.images = [];
+            return this.refreshAlbums();
+          }),
+          `Deleted "${albumId}".`,
+        );
+      },
+
+      onDrop(event) {
+        this.dragging = false;
+        this.uploadFiles(event.dataTransfer.files);
+      },
+
+      // The lightbox needs each image's dimensions, which are measured here
+      // and stored with the object the way the uploader does.
+      async _measure(file) {
+        try {
+          const bitmap = await createImageBitmap(file);
+          const { width, height } = bitmap;
+          bitmap.close();
+          return { width, height };
+        } catch {
+          return {};
+        }
+      },
+
+      // XHR rather than fetch, which can't report upload progress.
+      _put(upload, file, status) {
+        return new Promise((resolve, reject) => {
+          const xhr = new XMLHttpRequest();
+          xhr.open(upload.method, upload.url);
+          for (const [name, value] of Object.entries(upload.headers)) {
+            xhr.setRequestHeader(name, value);
+          }
+          xhr.upload.onprogress = (event) => {
+            if (event.lengthComputable) {
+              status.progress = event.loaded / event.total;
+            }
+          };
+          xhr.onload = () =>
+            xhr.status < 300
+              ? resolve()
+              : reject(new Error(`Upload failed (HTTP ${xhr.status})`));
+          xhr.onerror = () => reject(new Error("Upload failed"));
+          xhr.send(file);
+        });
+      },
+
+      async _uploadOne(file, status) {
+        try {
+          status.status = "uploading";
+          const { uploads } = await this._api(
+            "POST",
+            `/album/${this.album.id}/uploads`,
+            { files: [{ name: file.name, ...(await this._measure(file)) }] },
+          );
+          await this._put(uploads[0], file, status);
+          status.progress = 1;
+          status.status = "done";
+          return file.name;
+        } catch (e) {
+          status.status = "failed";
+          status.error = e.message;
+          return null;
+        }
+      },
+
+      async uploadFiles(fileList) {
+        if (!this.album || this.album.isNew) {
+          this.error = "Save the album before uploading photos.";
+          return;
+        }
+        const files = [...fileList].filter((file) =>
+          /\.(jpe?g|png|gif|webp|avif)$/i.test(file.name),
+        );
+        if (!files.length) return;
+
+        this.uploads = files.map((file) => ({
+          name: file.name,
+          progress: 0,
+          status: "queued",
+          error: null,
+        }));
+        // Read back through Alpine's proxy so progress updates re-render.
+        const statuses = this.uploads;
+
+        const uploaded = [];
+        let next = 0;
+        const worker = async () => {
+          while (next < files.length) {
+            const index = next++;
+            const name = await this._uploadOne(files[index], statuses[index]);
+            if (name) uploaded.push(name);
+          }
+        };
+        await Promise.all(
+          Array.from({ length: UPLOAD_CONCURRENCY }, () => worker()),
+        );
+
+        const failed = files.length - uploaded.length;
+        if (!uploaded.length) {
+          this.error = "No photos were uploaded.";
+          return;
+        }
+        await this._report(
+          this._api("POST", `/album/${this.album.id}/images`, {
+            files: uploaded,
+          }).then(() => this.openAlbum(this.album.id)),
+          `Uploaded ${uploaded.length} of ${files.length} photos.` +
+            (failed ? ` ${failed} failed; drop them again to retry.` : ""),
+        );
+      },
+
+      uploadSummary() {
+        const done = this.uploads.filter((u) => u.status === "done").length;
+        const total = this.uploads.reduce((sum, u) => sum + u.progress, 0);
+        const percent = Math.round((total / this.uploads.length) * 100);
+        return `${done} of ${this.uploads.length} uploaded (${percent}%)`;
+      },
+    };
+  });
+});
@@ -1,31 +1,176 @@
+import { formatAlbumDate } from "../album-dates.js";
+import { placeholderStyle } from "../placeholders.js";
+import { apiBaseUrl } from "../api.js";
+
 document.addEventListener("alpine:init", () => {
   Alpine.data("albumList", () => {
     return {
       albums: [],
       loading: true,
       error: null,
-      workerBaseUrl: "https://api.digifilm.pics",
+      workerBaseUrl: apiBaseUrl,
+      pageSize: 24,
+      nextCursor: null,
+      loadingMore: false,
+      // Filter state, mirrored in the page's query string so filtered views
+      // can be shared.
+      query: "",
+      selectedTags: [],
+      sort: "date",
+      // Every tag in use, with how many albums have it.
+      tagCounts: {},
+      // "albums" or "collections", also kept in the query string.
+      view: "albums",
+      collections: [],
+      loadingCollections: true,
+
+      init() {
+        const params = new URLSearchParams(window.location.search);
+        this.query = params.get("q") || "";
+        this.selectedTags = params.getAll("tag");
+        this.sort = params.get("sort") || "date";
+        this.view =
+          params.get("view") === "collections" ? "collections" : "albums";
+        this.fetchAlbums();
+        this.fetchCollections();
+      },
+
+      setView(view) {
+        this.view = view;
+        this._updateUrl();
+      },
+
+      allTags() {
+        return Object.keys(this.tagCounts).sort();
+      },
+
+      isTagSelected(tag) {
+        return this.selectedTags.includes(tag);
+      },
+
+      toggleTag(tag) {
+        this.selectedTags = this.isTagSelected(tag)
+          ? this.selectedTags.filter((t) => t !== tag)
+          : [...this.selectedTags, tag];
+        this.applyFilters();
+      },
+
+      clearFilters() {
+        this.query = "";
+        this.selectedTags = [];
+        this.applyFilters();
+      },
+
+      hasFilters() {
+        return Boolean(this.query.trim() || this.selectedTags.length);
+      },
+
+      applyFilters() {
+        this._updateUrl();
+        this.fetchAlbums();
+      },
+
+      _updateUrl() {
+        const params = this._filterParams();
+        if (this.view !== "albums") params.set("view", this.view);
+        const url = new URL(window.location.href);
+        url.search = params.toString();
+        window.history.replaceState(null, "", url);
+      },
+
+      // Date is the default sort, so it's left out of shared URLs.
+      _filterParams() {
+        const params = new URLSearchParams();
+        if (this.query.trim()) params.set("q", this.query.trim());
+        for (const tag of this.selectedTags) params.append("tag", tag);
+        if (this.sort !== "date") params.set("sort", this.sort);
+        return params;
+      },
+
+      _albumsUrl(cursor) {
+        const params = this._filterParams();
+        params.set("sort", this.sort);
+        params.set("limit", this.pageSize);
+        if (cursor) params.set("cursor", cursor);
+        return `${this.workerBaseUrl}/albums?${params}`;
+      },
+
+      placeholderStyle,
+
+      // The small print on album and collection cards.
+      albumDetails(album) {
+        return [formatAlbumDate(album), album.location]
+          .filter(Boolean)
+          .join(" · ");
+      },
+
+      collectionDetails(collection) {
+        const count = collection.album_count;
+        return `${count} ${count === 1 ? "album" : "albums"}`;
+      },
 
       async fetchAlbums() {
         try {
           this.loading = true;
           this.error = null;
-          const response = await fetch(`${this.workerBaseUrl}/albums`);
+          const url = this._albumsUrl();
+          const response = await fetch(url);
           if (!response.ok) {
             throw new Error(
               `HTTP error! status: ${response.status} - ${response.statusText}`,
             );
           }
-          this.albums = await response.json();
-          console.log(this.albums[0]);
+          const page = await response.json();
+          // A later search may have been sent while this one was loading.
+          if (url !== this._albumsUrl()) return;
+          this.albums = page.albums;
+          this.tagCounts = page.tags;
+          this.nextCursor = page.cursor;
         } catch (e) {
           console.error("Error fetching album list:", e);
           this.error = "Failed to load albums. Please try again later.";
           this.albums = [];
+          this.nextCursor = null;
         } finally {
           this.loading = false;
         }
       },
+
+      async loadMore() {
+        if (!this.nextCursor || this.loadingMore) return;
+        const url = this._albumsUrl(this.nextCursor);
+        this.loadingMore = true;
+
+        try {
+          const response = await fetch(url);
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          const page = await response.json();
+          // The filters may have changed while this page was loading.
+          if (url !== this._albumsUrl(this.nextCursor)) return;
+          this.albums.push(...page.albums);
+          this.nextCursor = page.cursor;
+        } catch (e) {
+          console.error("Error loading more albums:", e);
+        } finally {
+          this.loadingMore = false;
+        }
+      },
+
+      // Collections aren't paged or filtered; the switch to them is only
+      // shown once there are some.
+      async fetchCollections() {
+        try {
+          const response = await fetch(`${this.workerBaseUrl}/collections`);
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          this.collections = (await response.json()).collections;
+        } catch (e) {
+          console.error("Error fetching collections:", e);
+          this.collections = [];
+        } finally {
+          this.loadingCollections = false;
+          if (!this.collections.length) this.view = "albums";
+        }
+      },
     };
   });
 });
@@ -1,66 +1,193 @@
 import PhotoSwipeLightbox from "photoswipe/lightbox";
 import PhotoSwipe from "photoswipe";
 import Masonry from "masonry-layout";
-import imagesLoaded from "imagesloaded";
-import JSZip from "jszip";
+import { placeholderStyle } from "../placeholders.js";
+import { apiBaseUrl } from "../api.js";
 
 document.addEventListener("alpine:init", () => {
+  // `prerendered` is the album's card from `/albums` on its own pre-rendered
+  // page, and null on `/album.html`, which takes the album from the hash.
   Alpine.data("singleAlbum", function () {
+    const prerendered = JSON.parse(
+      document.getElementById("prerendered-album")?.textContent || "null",
+    );
+    // Kept outside the reactive state: Alpine's proxies break promises.
+    let pendingPage = null;
+
     return {
       data: null,
       loading: true,
       error: null,
-      workerBaseUrl: "https://api.digifilm.pics",
+      workerBaseUrl: apiBaseUrl,
       currentAlbumId: null,
       photoSwipeLightbox: null,
       masonryInstance: null,
-      downloading: false,
-      downloadProgress: 0,
+      scrollObserver: null,
+      pageSize: 60,
+      nextCursor: null,
+      loadingMore: false,
+      passwordRequired: false,
+      // Whether requests need the album's session cookie. Only
+      // password-protected albums do, and credentialed requests fail from
+      // origins the API doesn't list in ALLOWED_ORIGINS.
+      sessionNeeded: false,
+      password: "",
+      unlocking: false,
+      unlockError: null,
+      // IDs of the images the visitor has hearted, kept per album in
+      // localStorage. They're filenames unless the album hides them.
+      selection: [],
+      selectionFormOpen: false,
+      selectionName: "",
+      selectionEmail: "",
+      selectionNote: "",
+      submittingSelection: false,
+      selectionError: null,
+      selectionSent: false,
+
+      async unlock() {
+        if (this.unlocking || !this.password) return;
+
+        this.unlocking = true;
+        this.unlockError = null;
+
+        try {
+          const response = await fetch(
+            `${this.workerBaseUrl}/album/${this.currentAlbumId}/unlock`,
+            {
+              method: "POST",
+              credentials: "include",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({ password: this.password }),
+            },
+          );
+          if (response.status === 401) {
+            this.unlockError = "Incorrect password. Please try again.";
+            return;
+          }
+          if (response.status === 429) {
+            this.unlockError =
+              "Too many attempts. Please wait a few minutes and try again.";
+            return;
+          }
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
-      async downloadZip() {
-        if (this.downloading || !this.data?.images?.length) return;
+          this.password = "";
+          this.sessionNeeded = true;
+          await this.fetchAlbumData(this.currentAlbumId);
+        } catch (e) {
+          console.error(e);
+          this.unlockError = "Could not unlock the album. Please try again.";
+        } finally {
+          this.unlocking = false;
+        }
+      },
 
-        this.downloading = true;
-        this.downloadProgress = 0;
+      _selectionStorageKey() {
+        return `digifilm_selection_${this.currentAlbumId}`;
+      },
 
+      _loadSelection() {
         try {
-          const zip = new JSZip();
-          const folder = zip.folder(
-            this.data.album.title || this.currentAlbumId,
+          const stored = JSON.parse(
+            localStorage.getItem(this._selectionStorageKey()),
           );
+          this.selection = Array.isArray(stored) ? stored : [];
+        } catch {
+          this.selection = [];
+        }
+      },
 
-          for (let i = 0; i < this.data.images.length; i++) {
-            const image = this.data.images[i];
-            const response = await fetch(image.src);
-            const blob = await response.blob();
+      isSelected(image) {
+        return this.selection.includes(image?.id);
+      },
 
-            const filename = `image-${i + 1}.jpg`;
-            folder.file(filename, blob);
+      toggleSelected(image) {
+        if (!image?.id) return;
+        this.selection = this.isSelected(image)
+          ? this.selection.filter((id) => id !== image.id)
+          : [...this.selection, image.id];
+        this.selectionSent = false;
+        localStorage.setItem(
+          this._selectionStorageKey(),
+          JSON.stringify(this.selection),
+        );
+      },
 
-            this.downloadProgress = Math.round(
-              ((i + 1) / this.data.images.length) * 100,
-            );
-          }
+      selectionSummary() {
+        if (this.selectionSent) return "Thanks! Your selection has been sent.";
+        const count = this.selection.length;
+        return `${count} ${count === 1 ? "photo" : "photos"} selected`;
+      },
 
-          const content = await zip.generateAsync({ type: "blob" });
+      // Sending again under the same name or email replaces the earlier
+      // selection, so the visitor's hearts are kept after submitting.
+      async submitSelection() {
+        if (this.submittingSelection || !this.selection.length) return;
 
-          const url = URL.createObjectURL(content);
-          const a = document.createElement("a");
-          a.href = url;
-          a.download = `${this.data.album.title || this.currentAlbumId}.zip`;
-          a.click();
-          URL.revokeObjectURL(url);
+        this.submittingSelection = true;
+        this.selectionError = null;
 
-          this.downloadProgress = 100;
+        try {
+          const url = this._albumUrl(this.currentAlbumId);
+          url.pathname += "/selections";
+          const response = await fetch(url, {
+            method: "POST",
+            credentials: this._credentials(),
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+              name: this.selectionName,
+              email: this.selectionEmail,
+              note: this.selectionNote,
+              files: this.selection,
+            }),
+          });
+          if (response.status === 400) {
+            this.selectionError = (await response.json()).error;
+            return;
+          }
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+          this.selectionSent = true;
+          this.selectionFormOpen = false;
         } catch (e) {
-          alert("Failed to create ZIP. Please try again.");
           console.error(e);
+          this.selectionError =
+            "Could not send your selection. Please try again.";
         } finally {
-          this.downloading = false;
-          setTimeout(() => (this.downloadProgress = 0), 2000);
+          this.submittingSelection = false;
         }
       },
 
+      // The API streams downloads itself; the share token (or session
+      // cookie) gets them past the same checks as the album.
+      downloadUrl(image) {
+        if (!this.currentAlbumId) return null;
+        const url = this._albumUrl(this.currentAlbumId);
+        url.pathname += image
+          ? `/photo/${encodeURIComponent(image.file)}/download`
+          : "/download";
+        return url.toString();
+      },
+
+      _credentials() {
+        return this.sessionNeeded ? "include" : "same-origin";
+      },
+
+      getShareToken() {
+        return new URLSearchParams(window.location.search).get("token");
+      },
+
+      _albumUrl(albumId, params = {}) {
+        const url = new URL(`${this.workerBaseUrl}/album/${albumId}`);
+        const token = this.getShareToken();
+        if (token) url.searchParams.set("token", token);
+        for (const [key, value] of Object.entries(params)) {
+          url.searchParams.set(key, value);
+        }
+        return url;
+      },
+
       getAlbumIdFromHash() {
         const hash = window.location.hash;
         return hash?.length > 1 ? hash.substring(1) : null;
@@ -87,20 +214,76 @@ document.addEventListener("alpine:init", () => {
 
         this.loading = true;
         this.error = null;
+        this.passwordRequired = false;
+        this.unlockError = null;
+        this.sessionNeeded &&= albumId === this.currentAlbumId;
         this.currentAlbumId = albumId;
+        this.nextCursor = null;
+        this.selectionFormOpen = false;
+        this.selectionError = null;
+        this.selectionSent = false;
+        this._loadSelection();
         this.data = {
-          album: { title: "Loading...", description: "Loading details..." },
+          album: {
+            title: prerendered?.title ?? "Loading...",
+            description: prerendered?.description ?? "Loading details...",
+          },
           images: [],
         };
         this._destroyInstances();
 
         try {
-          const response = await fetch(
-            `${this.workerBaseUrl}/album/${albumId}`,
-          );
+          const url = this._albumUrl(albumId, { limit: this.pageSize });
+          let response = await fetch(url, {
+            credentials: this._credentials(),
+          });
+          // A password-protected album may already be unlocked in this
+          // browser, so try again with its session cookie.
+          if (response.status === 401 && !this.sessionNeeded) {
+            this.sessionNeeded = true;
+            response = await fetch(url, { credentials: "include" });
+          }
+          // Renamed and merged albums redirect to the album they became.
+          // Move there, keeping the share token the API swapped in.
+          if (response.redirected) {
+            const moved = new URL(response.url);
+            const token = moved.searchParams.get("token");
+            window.location.replace(
+              `/album.html${token ? `?token=${encodeURIComponent(token)}` : ""}` +
+                `#${moved.pathname.split("/").pop()}`,
+            );
+            return;
+          }
+          if (response.status === 403) {
+            this.error =
+              "This album is private. Your share link may have expired.";
+            this.data = {
+              album: {
+                title: "Private Album",
+                description: "Ask us for a new link if you need access.",
+              },
+              images: [],
+            };
+            this._destroyInstances();
+            return;
+          }
+          if (response.status === 401) {
+            const { album } = await response.json();
+            this.passwordRequired = true;
+            this.data = {
+              album: {
+                title: album?.title || "Protected Album",
+                description: "Enter the password to view this album.",
+              },
+              images: [],
+            };
+            this._destroyInstances();
+            return;
+          }
           if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
           this.data = await response.json();
+          this.nextCursor = this.data.cursor;
 
           this.$nextTick(() => {
             if (this.data.images.length > 0) this._initInstances();
@@ -122,7 +305,118 @@ document.addEventListener("alpine:init", () => {
         }
       },
 
+      // Resolves once the next page (if any) has been appended. Concurrent
+      // callers share the same request.
+      loadMore() {
+        if (!this.nextCursor) return Promise.resolve();
+        pendingPage ??= this._fetchNextPage().finally(() => {
+          pendingPage = null;
+        });
+        return pendingPage;
+      },
+
+      async _fetchNextPage() {
+        const albumId = this.currentAlbumId;
+        this.loadingMore = true;
+
+        try {
+          const response = await fetch(
+            this._albumUrl(albumId, {
+              limit: this.pageSize,
+              cursor: this.nextCursor,
+            }),
+            { credentials: this._credentials() },
+          );
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+          const page = await response.json();
+          if (albumId !== this.currentAlbumId) return;
+
+          this.data.images.push(...page.images);
+          this.nextCursor = page.cursor;
+          this.$nextTick(() => this._layoutNewItems());
+        } catch (e) {
+          console.error("Error loading more photos:", e);
+          this.nextCursor = null;
+        } finally {
+          this.loadingMore = false;
+        }
+      },
+
+      _layoutNewItems() {
+        const grid = document.getElementById("album");
+        if (!grid || !this.masonryInstance) return;
+
+        this.masonryInstance.reloadItems();
+        this.masonryInstance.layout();
+      },
+
+      // Each item is sized from the image's dimensions and shows its
+      // placeholder from the start, so the grid is laid out once rather than
+      // as images arrive.
+      imageBoxStyle(image) {
+        return {
+          aspectRatio: `${image.width} / ${image.height}`,
+          ...placeholderStyle(image.placeholder, image.color),
+        };
+      },
+
+      // Film scans rarely have EXIF, so the album's film stock stands in.
+      _photoInfoLines(image) {
+        const exif = image?.exif || {};
+        const exposure = [
+          exif.focalLength && `${exif.focalLength}mm`,
+          exif.aperture && `f/${exif.aperture}`,
+          exif.shutter,
+          exif.iso && `ISO ${exif.iso}`,
+        ];
+        const takenAt = exif.takenAt && new Date(exif.takenAt);
+
+        return [
+          [exif.camera, exif.lens].filter(Boolean).join(" · "),
+          exposure.filter(Boolean).join(" · "),
+          this.data.album.film_stock && `Film: ${this.data.album.film_stock}`,
+          takenAt && !isNaN(takenAt)
+            ? takenAt.toLocaleString(undefined, {
+                dateStyle: "long",
+                timeStyle: "short",
+              })
+            : null,
+        ].filter(Boolean);
+      },
+
+      _renderPhotoInfo(el, image) {
+        const lines = this._photoInfoLines(image);
+        el.replaceChildren(
+          ...lines.map((line) => {
+            const div = document.createElement("div");
+            div.textContent = line;
+            return div;
+          }),
+        );
+
+        if (image?.caption) {
+          const caption = document.createElement("p");
+          caption.className = "pswp__photo-caption";
+          caption.textContent = image.caption;
+          el.prepend(caption);
+        }
+
+        const gps = image?.exif?.gps;
+        if (gps) {
+          const link = document.createElement("a");
+          link.href = `https://www.openstreetmap.org/?mlat=${gps.latitude}&mlon=${gps.longitude}#map=15/${gps.latitude}/${gps.longitude}`;
+          link.target = "_blank";
+          link.rel = "noopener";
+          link.textContent = "View location";
+          el.append(link);
+        }
+        el.hidden = el.childElementCount === 0;
+      },
+
       _destroyInstances() {
+        this.scrollObserver?.disconnect();
+        this.scrollObserver = null;
         this.masonryInstance?.destroy();
         this.masonryInstance = null;
         this.photoSwipeLightbox?.destroy();
@@ -141,18 +435,99 @@ document.addEventListener("alpine:init", () => {
           transitionDuration: "0.4s",
         });
 
-        imagesLoaded(grid).on("progress", () => this.masonryInstance.layout());
-
         this.photoSwipeLightbox = new PhotoSwipeLightbox({
           gallery: "#album",
-          children: "a.album-item",
+          children: ".album-item > a",
           pswpModule: PhotoSwipe,
         });
+        this.photoSwipeLightbox.on("uiRegister", () => {
+          const { ui } = this.photoSwipeLightbox.pswp;
+          if (this.data.album.allow_downloads) {
+            ui.registerElement({
+              name: "download-button",
+              order: 8,
+              isButton: true,
+              tagName: "a",
+              title: "Download original",
+              html: {
+                isCustomSVG: true,
+                inner:
+                  '<path d="M20.5 14.3 17.1 18V10h-2.2v7.9l-3.4-3.6L10 16l6 6.1 6-6.1ZM23 23H9v2h14Z" id="pswp__icn-download"/>',
+                outlineID: "pswp__icn-download",
+              },
+              onInit: (el, pswp) => {
+                el.setAttribute("download", "");
+                pswp.on("change", () => {
+                  el.href = this.downloadUrl(this.data.images[pswp.currIndex]);
+                });
+              },
+            });
+          }
+          if (this.data.album.allow_selections) {
+            ui.registerElement({
+              name: "selection-button",
+              order: 9,
+              isButton: true,
+              title: "Add to selection",
+              html: {
+                isCustomSVG: true,
+                inner:
+                  '<path d="M16 25.5l-1.4-1.3C9.6 19.7 6.5 16.9 6.5 13.4c0-2.8 2.2-5 5-5 1.6 0 3.1.7 4.5 2 1.4-1.3 2.9-2 4.5-2 2.8 0 5 2.2 5 5 0 3.5-3.1 6.3-8.1 10.8Z" id="pswp__icn-heart"/>',
+                outlineID: "pswp__icn-heart",
+              },
+              onInit: (el, pswp) => {
+                const update = () => {
+                  const selected = this.isSelected(
+                    this.data.images[pswp.currIndex],
+                  );
+                  el.classList.toggle("pswp__button--selected", selected);
+                  el.setAttribute("aria-pressed", String(selected));
+                };
+                pswp.on("change", update);
+                el.addEventListener("click", () => {
+                  this.toggleSelected(this.data.images[pswp.currIndex]);
+                  update();
+                });
+              },
+            });
+          }
+          ui.registerElement({
+            name: "photo-info",
+            appendTo: "root",
+            onInit: (el, pswp) => {
+              pswp.on("change", () =>
+                this._renderPhotoInfo(el, this.data.images[pswp.currIndex]),
+              );
+            },
+          });
+        });
         this.photoSwipeLightbox.init();
+
+        this.scrollObserver = new IntersectionObserver(
+          (entries) => {
+            if (entries.some((entry) => entry.isIntersecting)) this.loadMore();
+          },
+          { rootMargin: "800px 0px" },
+        );
+        this.scrollObserver.observe(this.$refs.sentinel);
       },
 
       init() {
-        this.fetchAlbumData(this.getAlbumIdFromHash());
+        if (prerendered) {
+          this.fetchAlbumData(prerendered.id);
+          return;
+        }
+
+        // Old `/album.html#<id>` links move to the album's own page if it has
+        // one, keeping any share token.
+        const albumId = this.getAlbumIdFromHash();
+        if (this.$el.dataset.prerendered.split(" ").includes(albumId)) {
+          window.location.replace(
+            `/album/${albumId}/${window.location.search}`,
+          );
+          return;
+        }
+        this.fetchAlbumData(albumId);
 
         window.addEventListener("hashchange", () => {
           const newAlbumId = this.getAlbumIdFromHash();
@@ -0,0 +1,80 @@
+import { formatAlbumDate } from "../album-dates.js";
+import { placeholderStyle } from "../placeholders.js";
+import { apiBaseUrl } from "../api.js";
+
+document.addEventListener("alpine:init", () => {
+  Alpine.data("singleCollection", () => {
+    return {
+      collection: null,
+      albums: [],
+      loading: true,
+      error: null,
+      workerBaseUrl: apiBaseUrl,
+      currentCollectionId: null,
+
+      getCollectionIdFromHash() {
+        const hash = window.location.hash;
+        return hash?.length > 1 ? hash.substring(1) : null;
+      },
+
+      placeholderStyle,
+
+      albumDetails(album) {
+        return [formatAlbumDate(album), album.location]
+          .filter(Boolean)
+          .join(" · ");
+      },
+
+      async fetchCollection(collectionId) {
+        this.currentCollectionId = collectionId;
+        this.collection = null;
+        this.albums = [];
+        this.error = null;
+        if (!collectionId) {
+          this.error = "No collection specified in URL hash.";
+          this.loading = false;
+          return;
+        }
+
+        this.loading = true;
+        try {
+          const response = await fetch(
+            `${this.workerBaseUrl}/collection/${collectionId}`,
+          );
+          if (response.status === 404) {
+            throw new Error("Collection not found.");
+          }
+          if (!response.ok) {
+            throw new Error(
+              `HTTP error! status: ${response.status} - ${response.statusText}`,
+            );
+          }
+          const data = await response.json();
+          // The hash may have changed while this was loading.
+          if (collectionId !== this.currentCollectionId) return;
+          this.collection = data.collection;
+          this.albums = data.albums;
+        } catch (e) {
+          console.error(`Error fetching collection ${collectionId}:`, e);
+          this.error =
+            e.message === "Collection not found."
+              ? e.message
+              : "Failed to load collection. Please try again later.";
+        } finally {
+          this.loading = false;
+        }
+      },
+
+      init() {
+        this.fetchCollection(this.getCollectionIdFromHash());
+
+        window.addEventListener("hashchange", () => {
+          const collectionId = this.getCollectionIdFromHash();
+          if (collectionId !== this.currentCollectionId) {
+            this.fetchCollection(collectionId);
+          }
+        });
+      },
+    };
+  });
+});
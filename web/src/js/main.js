@@ -4,3 +4,5 @@ Alpine.start();
 
 import "./components/album-list.js";
 import "./components/single-album.js";
+import "./components/single-collection.js";
+import "./components/album-admin.js";
@@ -0,0 +1,8 @@
+// Inline styles that paint an image's placeholder, a blurred preview over its
+// dominant colour, behind it until it loads. Either may be missing.
+export function placeholderStyle(placeholder, color) {
+  const style = { backgroundSize: "cover" };
+  if (color) style.backgroundColor = color;
+  if (placeholder) style.backgroundImage = `url("${placeholder}")`;
+  return style;
+}